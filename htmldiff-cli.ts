@@ -53,7 +53,9 @@ Options:
   child nodes should not be compared - the entire tag should be treated
   as one token. This is useful for tags where it does not make sense to
   insert <ins> and <del> tags. If not used, this default list will be used:
-  "iframe,object,math,svg,script,video,head,style".`;
+  "iframe,object,math,svg,script,video,head,style". Tag names may contain
+  the wildcards "*" and "?", e. g. "ds-*", and the entry "default" adds
+  the default list, e. g. "default,ds-*".`;
     console.log(usage);
 }
 
@@ -152,7 +154,7 @@ const afterFile: string = readFileContent(process.argv[3]);
 if (!afterFile) {
     process.exit(1);
 }
-const diffedResult: string = diffHTML(beforeFile, afterFile, className, dataPrefix, atomicTags);
+const diffedResult: string = diffHTML(beforeFile, afterFile, { className, dataPrefix, atomicTags });
 
 if (/* output file */process.argv[4] === "-") {
     console.log(diffedResult);
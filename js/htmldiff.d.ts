@@ -4,6 +4,30 @@
  *
  * @param {string} before The HTML content before the changes.
  * @param {string} after The HTML content after the changes.
+ * @param {diff.Options} options (Optional) The options of the diff, see `diff.Options`.
+ *
+ * @return {string} The combined HTML content with differences wrapped in `<ins>` and `<del>` tags.
+ */
+declare function diff(before: string, after: string, options?: diff.Options | null): string;
+/**
+ * Compares two pieces of HTML content and returns the before content with the deletions marked
+ * and the after content with the insertions marked, to be shown side by side.
+ *
+ * @param {string} before The HTML content before the changes.
+ * @param {string} after The HTML content after the changes.
+ * @param {diff.SplitOptions} options The options of the diff with the mode `split`.
+ *
+ * @return {diff.SplitResult} Both documents with the differences marked.
+ */
+declare function diff(before: string, after: string, options: diff.SplitOptions): diff.SplitResult;
+/**
+ * Compares two pieces of HTML content and returns the combined content with differences
+ * wrapped in <ins> and <del> tags.
+ *
+ * @deprecated Use the signature with an options object instead.
+ *
+ * @param {string} before The HTML content before the changes.
+ * @param {string} after The HTML content after the changes.
  * @param {string} className (Optional) The class attribute to include in `<ins>` and `<del>` tags.
  * @param {string} dataPrefix (Optional) The data prefix to use for data attributes. The
  *     operation index data attribute will be named `data-${dataPrefix-}operation-index`.
@@ -17,4 +41,568 @@
  * @return {string} The combined HTML content with differences wrapped in `<ins>` and `<del>` tags.
  */
 declare function diff(before: string, after: string, className?: string | null, dataPrefix?: string | null, atomicTags?: string | null): string;
+
+declare namespace diff {
+    /**
+     * The options of a diff. Every option is optional, an empty string or `null` is ignored.
+     */
+    interface Options {
+        /**
+         * The class attribute to include in `<ins>` and `<del>` tags.
+         */
+        className?: string | null;
+        /**
+         * The data prefix to use for data attributes. The operation index data attribute
+         * will be named `data-${dataPrefix-}operation-index`.
+         */
+        dataPrefix?: string | null;
+        /**
+         * Comma separated list (e. g. `head,script,style`) or array of tag names. An atomic
+         * tag is one whose child nodes should not be compared - the entire tag should be
+         * treated as one token. Tag names are matched exactly and case-insensitively and may
+         * contain the wildcards `*` and `?` (e. g. `ds-*`, or `*-*` for all custom elements).
+         * Regular expressions are tested against the lowercased tag name. The entry `default`
+         * stands for the default list, so tags can be added to it. If not used, the default
+         * list `iframe,object,math,svg,script,video,head,style` will be used.
+         */
+        atomicTags?: string | RegExp | Array<string | RegExp> | null;
+        /**
+         * If true, elements whose attributes changed are marked with a `data-diff-attrs-changed`
+         * attribute listing the changed attribute names and a `data-diff-old-${name}` attribute
+         * holding the old value of each of them. These changes are reported as operations with
+         * the action `attributes`.
+         */
+        compareAttributes?: boolean | null;
+        /**
+         * HTML comments are always kept in the output but never wrapped. If true, changed
+         * comments are reported as operations, otherwise they are treated as equal.
+         */
+        compareComments?: boolean | null;
+        /**
+         * If true, unchanged text whose formatting elements (e. g. `<strong>`, `<em>` or `<a>`)
+         * changed is wrapped in a `<span>` with a `data-diff-format` attribute like
+         * `added:strong removed:em`. The added and removed formatting elements are kept and
+         * marked with a `data-diff-format-tag` attribute. These changes are reported as
+         * operations with the action `format`.
+         */
+        compareFormatting?: boolean | null;
+        /**
+         * If true, blocks which were moved (identical or nearly identical blocks which were
+         * deleted in one place and inserted in another) are marked with a `data-diff-moved`
+         * attribute (`from` or `to`) and a `data-diff-move-id` attribute shared by both places.
+         * These changes are reported as operations with the action `move`.
+         */
+        detectMoves?: boolean | null;
+        /**
+         * If true, block elements whose tag changed while their content stayed similar (e. g. a
+         * paragraph that became a heading) are marked with a `data-diff-retagged-from` attribute
+         * holding the old tag name. These changes are reported as operations with the action
+         * `retag`.
+         */
+        detectRetags?: boolean | null;
+        /**
+         * If true, the history of revisions keeps deleted content in `<del>` tags, marked with
+         * the revision which deleted it (only for `diff.history`).
+         */
+        showDeletions?: boolean | null;
+        /**
+         * The decision for changes which aren't listed in the decisions, including `<ins>` and
+         * `<del>` tags without an operation index (only for `diff.resolve`). If not set, these
+         * changes keep their markup.
+         */
+        defaultDecision?: Decision | null;
+        /**
+         * If true, text is compared case-insensitively.
+         */
+        ignoreCase?: boolean | null;
+        /**
+         * If true, punctuation is ignored when comparing text.
+         */
+        ignorePunctuation?: boolean | null;
+        /**
+         * If true, whitespace next to block tags (e. g. between paragraphs), which isn't
+         * rendered, is ignored. Line endings and other differences in whitespace within text are
+         * always ignored.
+         */
+        ignoreWhitespace?: boolean | null;
+        /**
+         * If true, numbers are compared without group separators and leading or trailing zeros,
+         * e. g. `1,000.50` equals `1000.5`.
+         */
+        ignoreNumbersFormatting?: boolean | null;
+        /**
+         * The unit of the diff. With `word` (the default) whole words are wrapped. With `char`
+         * replacements of up to three words are diffed again and only the changed characters
+         * are wrapped. With `sentence` and `block` whole sentences or the whole content of
+         * block elements (e. g. `<p>`, `<li>`, `<h1>`) are matched and wrapped.
+         */
+        granularity?: "word" | "char" | "sentence" | "block" | null;
+        /**
+         * With `unified` (the default) a single combined document is rendered. With `split`
+         * the before document with the deletions marked and the after document with the
+         * insertions marked are rendered, see `diff.SplitResult`.
+         */
+        mode?: "unified" | "split" | null;
+        /**
+         * Render hooks replacing the `<ins>` and `<del>` tags, either an object with hooks for
+         * single actions or a single hook for all of them. Hooks returning `null` or `undefined`
+         * fall back to the default rendering.
+         */
+        renderer?: Renderer | RenderHook | null;
+        /**
+         * If set, the content of `<ins>` and `<del>` tags starts and ends with texts which are
+         * only read by screen readers, elements marked with `data-diff-node` start with such a
+         * text too and replacements get a visible cue. Either `true` for the default English
+         * texts or an object with the texts to use.
+         *
+         * Elements whose content can't be wrapped, e. g. table rows (`<tr>`) and options, can't
+         * hold the hidden text, so screen readers aren't told that they were inserted or
+         * deleted; only their cells or their text are marked.
+         */
+        accessibility?: boolean | AccessibilityTexts | null;
+        /**
+         * Key plugins identifying elements, e. g. custom elements by an id attribute. They are
+         * checked in order before the default plugins, which key images, iframes and objects by
+         * their source and videos, math and svg elements by their content without the
+         * `data-uuid` attribute.
+         */
+        keyPlugins?: KeyPlugin[] | null;
+    }
+
+    /**
+     * A plugin creating the keys of elements, which decide whether elements match. A plugin
+     * without `tagName` and `test` applies to all elements.
+     */
+    interface KeyPlugin {
+        /**
+         * The name or the names of the elements the plugin applies to.
+         */
+        tagName?: string | string[];
+        /**
+         * Returns true if the plugin applies to the token.
+         */
+        test?: (token: string, tagName: string) => boolean;
+        /**
+         * Returns the key of the token, or `null` to leave the token to the next plugin. Keys
+         * should start with `<` so they never match text.
+         */
+        key: (token: string, attributes: {[name: string]: string}, tagName: string) => string | null | undefined;
+    }
+
+    /**
+     * The texts of the accessibility option. Texts which aren't given are taken from the
+     * defaults, empty texts are left out.
+     */
+    interface AccessibilityTexts {
+        /**
+         * Read at the start of inserted content, `insertion start` by default.
+         */
+        insertionStart?: string;
+        /**
+         * Read at the end of inserted content, `insertion end` by default.
+         */
+        insertionEnd?: string;
+        /**
+         * Read at the start of deleted content, `deletion start` by default.
+         */
+        deletionStart?: string;
+        /**
+         * Read at the end of deleted content, `deletion end` by default.
+         */
+        deletionEnd?: string;
+        /**
+         * Read at the start of inserted elements, `inserted` by default.
+         */
+        inserted?: string;
+        /**
+         * Read at the start of deleted elements, `deleted` by default.
+         */
+        deleted?: string;
+        /**
+         * The visible cue between the deleted and the inserted content of a replacement, an
+         * arrow by default. It is hidden from screen readers.
+         */
+        replacementCue?: string;
+        /**
+         * The class name hiding the texts visually. If not set, an inline style is used.
+         */
+        hiddenClassName?: string | null;
+    }
+
+    /**
+     * The context of a call of a render hook.
+     */
+    interface RenderContext {
+        /**
+         * How the content is rendered. The content of replacements is rendered as `delete`
+         * and `insert`.
+         */
+        kind: "insert" | "delete" | "equal";
+        operation: Operation;
+        /**
+         * The index of the operation, the same as in the operation index data attribute.
+         */
+        operationIndex: number;
+        /**
+         * The strings of the before tokens of the operation.
+         */
+        beforeTokens: string[];
+        /**
+         * The strings of the after tokens of the operation.
+         */
+        afterTokens: string[];
+        options: Options;
+    }
+
+    /**
+     * Renders content of an operation. Inserted and deleted content is split into wrappable
+     * segments first, the hook is called for each of them with its HTML content.
+     */
+    type RenderHook = (content: string, context: RenderContext) => string | null | undefined;
+
+    /**
+     * The render hooks for the single actions, see `diff.Options.renderer`. The `replace` hook
+     * is used for both sides of replacements, falling back to `delete` and `insert`.
+     */
+    interface Renderer {
+        insert?: RenderHook;
+        delete?: RenderHook;
+        replace?: RenderHook;
+        equal?: RenderHook;
+    }
+
+    /**
+     * The options of a diff rendered into two documents.
+     */
+    interface SplitOptions extends Options {
+        mode: "split";
+    }
+
+    /**
+     * The two documents of a diff with the mode `split`. Each change has the same operation
+     * index in both documents. Where only the other document has content, an empty `<span>`
+     * with a `data-diff-placeholder` attribute (`ins` or `del`) and the operation index marks
+     * its place.
+     */
+    interface SplitResult {
+        before: string;
+        after: string;
+    }
+
+    /**
+     * The decision about a change of a rendered diff, see `diff.resolve`.
+     */
+    type Decision = "accept" | "reject";
+
+    /**
+     * A token of an HTML document.
+     */
+    interface Token {
+        /**
+         * The original content of the token, used to recompose the document.
+         */
+        string: string;
+        /**
+         * The key of the token, used to match before and after tokens.
+         */
+        key: string;
+    }
+
+    /**
+     * An operation that transforms a range of before tokens into a range of after tokens.
+     */
+    interface Operation {
+        action: "equal" | "insert" | "delete" | "replace" | "attributes" | "format" | "retag" | "move";
+        startInBefore: number;
+        endInBefore: number | null;
+        startInAfter: number;
+        endInAfter: number | null;
+        /**
+         * The names of the added, removed or changed attributes (only for `attributes`).
+         */
+        changedAttributes?: string[];
+        /**
+         * The names of the formatting elements the text is contained in only after the changes
+         * (only for `format`).
+         */
+        addedFormats?: string[];
+        /**
+         * The names of the formatting elements the text was contained in only before the
+         * changes (only for `format`).
+         */
+        removedFormats?: string[];
+        /**
+         * The name of the block element before the changes (only for `retag`). Both the opening
+         * and the closing tag of a retagged element get an operation.
+         */
+        oldTagName?: string;
+        /**
+         * Either `from` for the block in the before list of tokens, like a delete, or `to` for
+         * the block in the after list, like an insert (only for `move`).
+         */
+        moved?: "from" | "to";
+        /**
+         * The id shared by the two operations of a move (only for `move`).
+         */
+        moveId?: number;
+        /**
+         * The beginning of the moved block in the before list of tokens (only for `move` to).
+         */
+        sourceStartInBefore?: number;
+        /**
+         * The end of the moved block in the before list of tokens (only for `move` to).
+         */
+        sourceEndInBefore?: number;
+    }
+
+    /**
+     * A change between two pieces of HTML content, see `diff.changes`.
+     */
+    interface Change {
+        kind: "insert" | "delete" | "replace" | "attributes" | "format" | "retag" | "move";
+        /**
+         * The index of the operation, the same as in the operation index data attribute of
+         * the rendered diff.
+         */
+        operationIndex: number;
+        beforeHtml: string;
+        beforeText: string;
+        afterHtml: string;
+        afterText: string;
+        /**
+         * The names of the added, removed or changed attributes (only for `attributes`).
+         */
+        changedAttributes?: string[];
+        /**
+         * The names of the added formatting elements (only for `format`).
+         */
+        addedFormats?: string[];
+        /**
+         * The names of the removed formatting elements (only for `format`).
+         */
+        removedFormats?: string[];
+        /**
+         * The name of the element before the changes (only for `retag`).
+         */
+        oldTagName?: string;
+        /**
+         * Either `from` or `to` (only for `move`).
+         */
+        moved?: "from" | "to";
+        /**
+         * The id shared by both changes of a move (only for `move`).
+         */
+        moveId?: number;
+    }
+
+    /**
+     * A conflict of a merge, see `diff.merge`.
+     */
+    interface Conflict {
+        /**
+         * The id of the conflict, the same as in the `data-diff-conflict` attribute of the
+         * merged content.
+         */
+        id: number;
+        baseHtml: string;
+        baseText: string;
+        oursHtml: string;
+        oursText: string;
+        theirsHtml: string;
+        theirsText: string;
+    }
+
+    /**
+     * The result of a merge, see `diff.merge`.
+     */
+    interface MergeResult {
+        /**
+         * The merged HTML content, with conflicts marked up with all sides.
+         */
+        html: string;
+        conflicts: Conflict[];
+    }
+
+    /**
+     * A revision of an HTML document, see `diff.history`. Every property besides `html` is
+     * metadata (e. g. an author or a timestamp) which is added to the marked content as a data
+     * attribute like `data-diff-author`.
+     */
+    interface Revision {
+        html: string;
+        [key: string]: string | number | boolean | Date | null | undefined;
+    }
+
+    /**
+     * A changed range of a patch, see `diff.createPatch`.
+     */
+    interface PatchHunk {
+        /**
+         * The position of the range in the before content.
+         */
+        beforeOffset: number;
+        /**
+         * The position of the range in the after content.
+         */
+        afterOffset: number;
+        /**
+         * The strings of up to three unchanged tokens before the range.
+         */
+        contextBefore: string[];
+        /**
+         * The strings of the tokens of the range in the before content.
+         */
+        deleted: string[];
+        /**
+         * The strings of the tokens of the range in the after content.
+         */
+        inserted: string[];
+        /**
+         * The strings of up to three unchanged tokens after the range.
+         */
+        contextAfter: string[];
+    }
+
+    /**
+     * A JSON serializable patch which transforms HTML content, see `diff.createPatch`.
+     */
+    interface Patch {
+        version: number;
+        beforeLength: number;
+        afterLength: number;
+        hunks: PatchHunk[];
+    }
+
+    /**
+     * Compares two pieces of HTML content and returns the list of changes between them.
+     *
+     * @param {string} before The HTML content before the changes.
+     * @param {string} after The HTML content after the changes.
+     * @param {diff.Options} options (Optional) The options of the diff.
+     *
+     * @return {diff.Change[]} The JSON serializable list of changes.
+     */
+    function changes(before: string, after: string, options?: Options | null): Change[];
+
+    /**
+     * Merges two independently changed versions of an HTML document. Changes which don't
+     * overlap are applied, overlapping changes are conflicts which are marked up with the
+     * content of all sides.
+     *
+     * @param {string} base The HTML content both versions are based on.
+     * @param {string} ours The HTML content of our version.
+     * @param {string} theirs The HTML content of their version.
+     * @param {diff.Options} options (Optional) The options of the diff.
+     *
+     * @return {diff.MergeResult} The merged content and the list of conflicts.
+     */
+    function merge(base: string, ours: string, theirs: string, options?: Options | null): MergeResult;
+
+    /**
+     * Compares a list of revisions of an HTML document and returns the last revision with the
+     * content inserted by every later revision wrapped in `<ins>` tags, marked with a
+     * `data-diff-revision` attribute and the metadata of the revision.
+     *
+     * @param {Array<string | diff.Revision>} revisions The revisions from the oldest to the newest.
+     * @param {diff.Options} options (Optional) The options of the diff.
+     *
+     * @return {string} The last revision with the content of each revision marked.
+     */
+    function history(revisions: Array<string | Revision>, options?: Options | null): string;
+
+    /**
+     * Compares two pieces of HTML content and returns a patch which transforms the before
+     * content into the after content.
+     *
+     * @param {string} before The HTML content before the changes.
+     * @param {string} after The HTML content after the changes.
+     * @param {diff.Options} options (Optional) The options of the diff.
+     *
+     * @return {diff.Patch} The JSON serializable patch.
+     */
+    function createPatch(before: string, after: string, options?: Options | null): Patch;
+
+    /**
+     * Applies a patch to the HTML content it was created from.
+     *
+     * @param {string} before The HTML content before the changes.
+     * @param {diff.Patch} patch The patch, see `diff.createPatch`.
+     *
+     * @return {string} The HTML content after the changes.
+     *
+     * @throws {Error} If the patch doesn't match the content.
+     */
+    function applyPatch(before: string, patch: Patch): string;
+
+    /**
+     * Reverts a patch from the HTML content it was created for.
+     *
+     * @param {string} after The HTML content after the changes.
+     * @param {diff.Patch} patch The patch, see `diff.createPatch`.
+     *
+     * @return {string} The HTML content before the changes.
+     *
+     * @throws {Error} If the patch doesn't match the content.
+     */
+    function reversePatch(after: string, patch: Patch): string;
+
+    /**
+     * Accepts or rejects the changes of a rendered diff and returns the HTML content without the
+     * markup of the resolved changes.
+     *
+     * @param {string} diffHtml The HTML content of the rendered diff.
+     * @param {Object} decisions A mapping from operation index to the decision about the change.
+     * @param {diff.Options} options (Optional) The options the diff was rendered with.
+     *
+     * @return {string} The HTML content with the changes resolved.
+     */
+    function resolve(diffHtml: string, decisions: {[operationIndex: number]: Decision}, options?: Options | null): string;
+
+    /**
+     * Tokenizes a string of HTML.
+     *
+     * @param {string} html The string to tokenize.
+     * @param {diff.Options} options (Optional) The options of the diff.
+     *
+     * @return {diff.Token[]} The list of tokens.
+     */
+    function htmlToTokens(html: string, options?: Options | null): Token[];
+
+    /**
+     * Gets a list of operations required to transform the before list of tokens into the
+     * after list of tokens.
+     *
+     * @param {diff.Token[]} beforeTokens The before list of tokens.
+     * @param {diff.Token[]} afterTokens The after list of tokens.
+     * @param {diff.Options} options (Optional) The options of the diff.
+     *
+     * @return {diff.Operation[]} The list of operations.
+     */
+    function calculateOperations(beforeTokens: Token[], afterTokens: Token[], options?: Options | null): Operation[];
+
+    /**
+     * Renders a list of operations into HTML content.
+     *
+     * @param {diff.Token[]} beforeTokens The before list of tokens.
+     * @param {diff.Token[]} afterTokens The after list of tokens.
+     * @param {diff.Operation[]} operations The list of operations.
+     * @param {diff.Options} options (Optional) The options of the diff.
+     *
+     * @return {string} The rendering of the list of operations.
+     */
+    function renderOperations(beforeTokens: Token[], afterTokens: Token[], operations: Operation[], options?: Options | null): string;
+
+    /**
+     * Renders a list of operations into the before and the after document.
+     *
+     * @param {diff.Token[]} beforeTokens The before list of tokens.
+     * @param {diff.Token[]} afterTokens The after list of tokens.
+     * @param {diff.Operation[]} operations The list of operations.
+     * @param {diff.SplitOptions} options The options of the diff with the mode `split`.
+     *
+     * @return {diff.SplitResult} The renderings of both documents.
+     */
+    function renderOperations(beforeTokens: Token[], afterTokens: Token[], operations: Operation[], options: SplitOptions): SplitResult;
+}
+
 export = diff;
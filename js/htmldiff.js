@@ -22,7 +22,8 @@
  *   htmldiff('<p>this is some text</p>', '<p>this is some more text</p>')
  *   == '<p>this is some <ins>more </ins>text</p>'
  *
- *   htmldiff('<p>this is some text</p>', '<p>this is some more text</p>', 'diff-class')
+ *   htmldiff('<p>this is some text</p>', '<p>this is some more text</p>',
+ *           {className: 'diff-class'})
  *   == '<p>this is some <ins class="diff-class">more </ins>text</p>'
  */
 (function(){
@@ -32,8 +33,29 @@
         return char === '>';
     }
 
-    function isStartOfTag(char){
-        return char === '<';
+    /**
+     * Checks if a character starts a tag. A '<' only starts a tag if it is followed by a tag name,
+     * a '/', a '!' or a '?', so a bare '<' in text (e.g. `a < b`) is kept as text.
+     *
+     * @param {string} char The current character.
+     * @param {string} nextChar The character following the current one.
+     *
+     * @return {boolean} True if the character starts a tag, false otherwise.
+     */
+    function isStartOfTag(char, nextChar){
+        return char === '<' && /^[a-zA-Z\/!?]/.test(nextChar || '');
+    }
+
+    /**
+     * Checks if a character starts a quoted attribute value inside a tag.
+     *
+     * @param {string} char The current character.
+     * @param {string} word The characters of the current tag read so far.
+     *
+     * @return {boolean} True if the character is a quote following an equal sign.
+     */
+    function isStartOfAttributeValue(char, word){
+        return (char === '"' || char === '\'') && /=\s*$/.test(word);
     }
 
     function isWhitespace(char){
@@ -48,14 +70,202 @@
      * @return {boolean|string} False if the token is not a tag, or the tag name otherwise.
      */
     function isTag(token){
-        var match = token.match(/^\s*<([^!>][^>]*)>\s*$/);
-        return !!match && match[1].trim().split(' ')[0];
+        var match = token.match(/^\s*<([^!?>](?:[^>"']|"[^"]*"|'[^']*')*)>\s*$/);
+        return !!match && match[1].trim().split(/\s/)[0];
     }
 
     function isntTag(token){
         return !isTag(token);
     }
 
+    /**
+     * Creates a regular expression with Unicode property escapes, or returns the fallback if the
+     * JavaScript engine doesn't support them.
+     *
+     * @param {string} source The source of the regular expression.
+     * @param {RegExp} fallback The regular expression to use without Unicode support.
+     *
+     * @return {RegExp} The regular expression.
+     */
+    function createUnicodeRegExp(source, fallback){
+        try {
+            return new RegExp(source, 'u');
+        } catch (e){
+            return fallback;
+        }
+    }
+
+    /**
+     * Character ranges of the fallback regular expressions for JavaScript engines without
+     * Unicode property escapes, see createUnicodeRegExp. Letters and digits of the Latin, Greek,
+     * Cyrillic, Armenian, Hebrew, Arabic, Indic and Hangul scripts.
+     */
+    var letterRanges = '\\u00aa\\u00b5\\u00ba\\u00c0-\\u00d6\\u00d8-\\u00f6\\u00f8-\\u02af' +
+            '\\u0370-\\u03ff\\u0400-\\u052f\\u0531-\\u0587\\u05d0-\\u05ea\\u0620-\\u064a' +
+            '\\u0660-\\u0669\\u0900-\\u0dff\\u1e00-\\u1fff\\uac00-\\ud7af';
+
+    /**
+     * Character ranges of the scripts that don't separate words with spaces (Thai, Lao,
+     * Myanmar, Khmer, Hiragana, Katakana and Han) for the fallback regular expressions.
+     */
+    var noSpaceScriptRanges = '\\u0e00-\\u0eff\\u1000-\\u109f\\u1780-\\u17ff\\u3040-\\u30ff' +
+            '\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff';
+
+    /**
+     * Character ranges of the combining marks for the fallback regular expressions.
+     */
+    var combiningMarkRanges = '\\u0300-\\u036f\\u1ab0-\\u1aff\\u1dc0-\\u1dff\\u20d0-\\u20ff' +
+            '\\ufe20-\\ufe2f';
+
+    /**
+     * Regular expression to check if a character belongs to a word: letters, marks and numbers
+     * of all scripts, connector punctuation like '_' and the characters '#' and '@'.
+     */
+    var wordCharRegExp = createUnicodeRegExp('^[\\p{L}\\p{M}\\p{N}\\p{Pc}#@]',
+            new RegExp('^[\\w#@' + letterRanges + '\\u0300-\\u036f' + noSpaceScriptRanges + ']'));
+
+    /**
+     * Regular expression to check if a word contains characters of a script that doesn't
+     * separate words with spaces (Han, Hiragana, Katakana, Thai, Lao, Khmer and Myanmar).
+     */
+    var noSpaceScriptRegExp = createUnicodeRegExp(
+            '[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Thai}' +
+            '\\p{Script=Lao}\\p{Script=Khmer}\\p{Script=Myanmar}]',
+            new RegExp('[' + noSpaceScriptRanges + ']'));
+
+    /**
+     * Regular expression to check if a character is a punctuation character.
+     */
+    var punctuationRegExp = createUnicodeRegExp('^\\p{P}$',
+            new RegExp('^[!-#%-*,-\\/:;?@\\[-\\]_{}\\u00a1\\u00a7\\u00ab\\u00b6\\u00b7\\u00bb' +
+                    '\\u00bf\\u2010-\\u2027\\u2030-\\u205e\\u3001-\\u3003\\u3008-\\u3011]$'));
+
+    /**
+     * Regular expression to check if a character extends the previous character to a single
+     * grapheme cluster: combining marks, the zero width joiner, variation selectors, emoji
+     * modifiers, tag characters and the combining keycap.
+     */
+    var extendingCharRegExp = createUnicodeRegExp(
+            '^(?:\\p{M}|\\u200d|\\p{Emoji_Modifier}|[\\u{e0020}-\\u{e007f}])',
+            new RegExp('^(?:[' + combiningMarkRanges + '\\ufe00-\\ufe0f\\u200d]|' +
+                    '\\ud83c[\\udffb-\\udfff]|\\udb40[\\udc20-\\udc7f])'));
+
+    /**
+     * Regular expression to check if a character is a regional indicator symbol. Two of them
+     * form a flag.
+     */
+    var regionalIndicatorRegExp = /^\ud83c[\udde6-\uddff]/;
+
+    /**
+     * Regular expression to check if a character is part of the markup, i.e. delimits tags,
+     * attribute values or character references. These characters are never joined with the
+     * following characters to a grapheme cluster, so the tokenizer always sees them.
+     */
+    var markupCharRegExp = /^[<>"'&;=\/\s]$/;
+
+    /**
+     * Splits text into words where available, see splitWord.
+     */
+    var wordSegmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function' ?
+            new Intl.Segmenter(undefined, {granularity: 'word'}) : null;
+
+    /**
+     * Reads the code point at the given position of a string.
+     *
+     * @param {string} text The string to read from.
+     * @param {number} index The position of the code point.
+     *
+     * @return {string} The code point, i.e. a surrogate pair or a single character.
+     */
+    function readCodePoint(text, index){
+        var code = text.charCodeAt(index);
+        if (code >= 0xd800 && code <= 0xdbff && index + 1 < text.length){
+            var next = text.charCodeAt(index + 1);
+            if (next >= 0xdc00 && next <= 0xdfff){
+                return text.substr(index, 2);
+            }
+        }
+        return text.charAt(index);
+    }
+
+    /**
+     * Reads the grapheme cluster at the given position of a string, so that characters with
+     * combining marks and emoji sequences are never split. Markup characters always stand
+     * alone, see markupCharRegExp.
+     *
+     * @param {string} text The string to read from.
+     * @param {number} index The position of the grapheme cluster.
+     *
+     * @return {string} The grapheme cluster.
+     */
+    function readCharacter(text, index){
+        var char = readCodePoint(text, index);
+        var end = index + char.length;
+        var joined = false;
+        while (end < text.length && !markupCharRegExp.test(char)){
+            var next = readCodePoint(text, end);
+            var pairsFlag = regionalIndicatorRegExp.test(next) &&
+                    char.length === 2 && regionalIndicatorRegExp.test(char);
+            if (extendingCharRegExp.test(next) || pairsFlag ||
+                    (joined && !/^[<&\s]/.test(next))){
+                joined = next === '\u200d';
+                char += next;
+                end += next.length;
+            } else {
+                break;
+            }
+        }
+        return char;
+    }
+
+    /**
+     * Checks if a character belongs to a word.
+     *
+     * @param {string} char The character (i.e. grapheme cluster) to check.
+     *
+     * @return {boolean} True if the character belongs to a word, false otherwise.
+     */
+    function isWordChar(char){
+        return wordCharRegExp.test(char);
+    }
+
+    /**
+     * Splits words of scripts that don't separate words with spaces. Intl.Segmenter is used
+     * where available, otherwise every character of such a script becomes a word of its own.
+     *
+     * @param {string} word The word to split.
+     *
+     * @return {Array.<string>} The list of words.
+     */
+    function splitWord(word){
+        if (!noSpaceScriptRegExp.test(word)){
+            return [word];
+        }
+        if (wordSegmenter){
+            return Array.from(wordSegmenter.segment(word), function(segment){
+                return segment.segment;
+            });
+        }
+        var words = [];
+        var current = '';
+        for (var i = 0; i < word.length; i += char.length){
+            var char = readCharacter(word, i);
+            if (noSpaceScriptRegExp.test(char)){
+                if (current){
+                    words.push(current);
+                }
+                words.push(char);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (current){
+            words.push(current);
+        }
+        return words;
+    }
+
     function isStartofHTMLComment(word){
         return /^<!--/.test(word);
     }
@@ -65,31 +275,308 @@
     }
 
     /**
-     * Regular expression to check atomic tags.
-     * @see function diff.
+     * Checks if a token is an HTML comment.
+     *
+     * @param {string} token The token to check.
+     *
+     * @return {boolean} True if the token is an HTML comment, false otherwise.
+     */
+    function isComment(token){
+        return /^<!--[\s\S]*-->$/.test(token);
+    }
+
+    /**
+     * Checks if a token is a document type declaration like `<!DOCTYPE html>`.
+     *
+     * @param {string} token The token to check.
+     *
+     * @return {boolean} True if the token is a doctype, false otherwise.
+     */
+    function isDoctype(token){
+        return /^<!doctype[\s>]/i.test(token);
+    }
+
+    /**
+     * Checks if a token is a CDATA section like `<![CDATA[...]]>`.
+     *
+     * @param {string} token The token to check.
+     *
+     * @return {boolean} True if the token is a CDATA section, false otherwise.
+     */
+    function isCData(token){
+        return /^<!\[CDATA\[[\s\S]*\]\]>$/.test(token);
+    }
+
+    /**
+     * Checks if a token is a processing instruction like `<?xml version="1.0"?>`.
+     *
+     * @param {string} token The token to check.
+     *
+     * @return {boolean} True if the token is a processing instruction, false otherwise.
+     */
+    function isProcessingInstruction(token){
+        return /^<\?[\s\S]*>$/.test(token);
+    }
+
+    /**
+     * Checks if a token is passed through from the after document without ever being wrapped,
+     * i.e. it is a comment, a doctype, a CDATA section or a processing instruction. Such tokens
+     * of the before document are dropped when they are deleted.
+     *
+     * @param {string} token The token to check.
+     *
+     * @return {boolean} True if the token is passed through, false otherwise.
+     */
+    function isPassThroughToken(token){
+        return isComment(token) || isDoctype(token) || isCData(token) ||
+                isProcessingInstruction(token);
+    }
+
+    /**
+     * The default list of atomic tags. Added head and style (for style tags inside the body).
+     */
+    var defaultAtomicTags = ['iframe', 'object', 'math', 'svg', 'script', 'video', 'head', 'style'];
+
+    /**
+     * Creates the regular expressions used to check the names of atomic tags. Tag names are
+     * matched exactly and case-insensitively, they may contain the wildcards '*' (any number of
+     * characters) and '?' (a single character), e.g. 'ds-*' for all elements whose name starts
+     * with 'ds-' or '*-*' for all custom elements. The entry 'default' stands for the default
+     * list of atomic tags, so that tags can be added to it.
+     *
+     * @param {string|RegExp|Array.<string|RegExp>} atomicTags A comma separated list of tag
+     *      names, a regular expression or an array of both. Regular expressions are tested
+     *      against the lowercased tag name.
+     *
+     * @return {Array.<RegExp>} The regular expressions matching the names of atomic tags.
+     */
+    function createAtomicTagPatterns(atomicTags){
+        if (typeof atomicTags === 'string'){
+            atomicTags = atomicTags.split(',');
+        }
+        return [].concat(atomicTags).reduce(function(patterns, pattern){
+            if (pattern instanceof RegExp){
+                return patterns.concat(pattern);
+            }
+            pattern = String(pattern).trim().toLowerCase();
+            if (pattern === 'default'){
+                return patterns.concat(defaultAtomicTagPatterns);
+            }
+            if (pattern){
+                patterns.push(new RegExp('^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                        .replace(/\*/g, '.*').replace(/\?/g, '.') + '$'));
+            }
+            return patterns;
+        }, []);
+    }
+
+    var defaultAtomicTagPatterns = createAtomicTagPatterns(defaultAtomicTags);
+
+    /**
+     * Checks if a tag name is the name of an atomic tag.
+     *
+     * @param {string} tagName The name of the tag.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {boolean} True if the tag is an atomic tag, false otherwise.
+     */
+    function isAtomicTagName(tagName, options){
+        tagName = tagName.toLowerCase();
+        return options.atomicTagPatterns.some(function(pattern){
+            pattern.lastIndex = 0;
+            return pattern.test(tagName);
+        });
+    }
+
+    /**
+     * The supported values of the granularity option.
+     */
+    var granularities = ['word', 'char', 'sentence', 'block'];
+
+    /**
+     * The supported values of the mode option.
+     */
+    var modes = ['unified', 'split'];
+
+    /**
+     * The maximum number of words on each side of a replacement which is diffed again at
+     * character level if the granularity is 'char'.
+     */
+    var maxCharacterDiffWords = 3;
+
+    /**
+     * The minimum similarity (see getSimilarity) of a deleted and an inserted block to be
+     * detected as a move if the option detectMoves is set.
+     */
+    var minMoveSimilarity = 0.8;
+
+    /**
+     * Holds the normalized options of a single diff. An instance is created once per call and
+     * then passed through tokenizing, matching and rendering, so no stage depends on module
+     * level state.
+     *
+     * @param {Object} options (Optional) The options given by the caller with the following
+     *      optional keys:
+     *      - {string} className The class name to include in the wrapper tags.
+     *      - {string} dataPrefix The prefix to use in data attributes.
+     *      - {string|RegExp|Array.<string|RegExp>} atomicTags A comma separated list or an
+     *        array of atomic tag names or patterns, replacing the default list unless it
+     *        contains 'default', see createAtomicTagPatterns.
+     *      - {Array.<RegExp>} atomicTagPatterns The patterns of the atomic tag names.
+     *      - {boolean} compareAttributes Whether changed attributes of otherwise equal elements
+     *        should be reported and marked.
+     *      - {boolean} compareComments Whether changed HTML comments should be reported.
+     *      - {boolean} compareFormatting Whether unchanged text whose inline formatting changed
+     *        should be reported and marked.
+     *      - {boolean} detectMoves Whether moved blocks should be reported and marked.
+     *      - {boolean} detectRetags Whether blocks whose tag changed should be reported and
+     *        marked.
+     *      - {boolean} showDeletions Whether the history of revisions shows deleted content.
+     *      - {string} defaultDecision The decision for changes without one, see resolve.
+     *      - {string} mode Either 'unified' or 'split', see renderOperations.
+     *      - {Object|function} renderer The render hooks, see wrapOperation.
+     *      - {Array.<Object>} keyPlugins The key plugins of the options followed by the default
+     *        key plugins, each with the lowercased names of its elements as tagNames and the
+     *        plugin itself as plugin, see getPluginKey.
+     *      - {Object} accessibility The texts for screen readers, see getAccessibilityTexts,
+     *        or null if the output isn't made accessible.
+     *      - {boolean} ignoreCase Whether text is compared case-insensitively.
+     *      - {boolean} ignorePunctuation Whether punctuation is ignored when comparing text.
+     *      - {boolean} ignoreWhitespace Whether whitespace between blocks is ignored.
+     *      - {boolean} ignoreNumbersFormatting Whether numbers are compared by their value.
+     *      - {string} granularity The unit of the diff, one of {'word', 'char', 'sentence',
+     *        'block'}. Defaults to 'word'.
+     *
+     * @constructor
+     */
+    function Options(options){
+        options = options || {};
+        this.className = options.className || null;
+        this.dataPrefix = options.dataPrefix || null;
+        this.atomicTags = options.atomicTags || null;
+        this.compareAttributes = !!options.compareAttributes;
+        this.compareComments = !!options.compareComments;
+        this.compareFormatting = !!options.compareFormatting;
+        this.detectMoves = !!options.detectMoves;
+        this.detectRetags = !!options.detectRetags;
+        this.showDeletions = !!options.showDeletions;
+        this.defaultDecision = options.defaultDecision || null;
+        this.ignoreCase = !!options.ignoreCase;
+        this.ignorePunctuation = !!options.ignorePunctuation;
+        this.ignoreWhitespace = !!options.ignoreWhitespace;
+        this.ignoreNumbersFormatting = !!options.ignoreNumbersFormatting;
+        this.granularity = options.granularity || 'word';
+        if (granularities.indexOf(this.granularity) === -1){
+            throw new Error('Unknown granularity ' + this.granularity);
+        }
+        this.renderer = options.renderer || null;
+        this.keyPlugins = (options.keyPlugins || []).concat(defaultKeyPlugins).map(function(plugin){
+            if (!plugin || typeof plugin.key !== 'function'){
+                throw new Error('Invalid key plugin, a key function is required');
+            }
+            return {
+                tagNames: [].concat(plugin.tagName || []).map(function(name){
+                    return name.toLowerCase();
+                }),
+                plugin: plugin
+            };
+        });
+        this.accessibility = options.accessibility ? getAccessibilityTexts(options.accessibility) :
+                null;
+        this.mode = options.mode || 'unified';
+        if (modes.indexOf(this.mode) === -1){
+            throw new Error('Unknown mode ' + this.mode);
+        }
+        this.atomicTagPatterns = this.atomicTags ?
+                createAtomicTagPatterns(this.atomicTags) : defaultAtomicTagPatterns;
+    }
+
+    /**
+     * The default texts of the accessibility option.
+     */
+    var defaultAccessibilityTexts = {
+        insertionStart: 'insertion start',
+        insertionEnd: 'insertion end',
+        deletionStart: 'deletion start',
+        deletionEnd: 'deletion end',
+        inserted: 'inserted',
+        deleted: 'deleted',
+        replacementCue: '\u2192',
+        hiddenClassName: null
+    };
+
+    /**
+     * Gets the texts of the accessibility option, with the default texts for those which
+     * aren't given.
+     *
+     * @param {boolean|Object} accessibility Either true for the default texts or an object with
+     *      any of the keys of defaultAccessibilityTexts.
+     *
+     * @return {Object} The texts.
+     */
+    function getAccessibilityTexts(accessibility){
+        return Object.keys(defaultAccessibilityTexts).reduce(function(texts, key){
+            var text = typeof accessibility === 'object' ? accessibility[key] : null;
+            texts[key] = text !== null && text !== undefined ? text :
+                    defaultAccessibilityTexts[key];
+            return texts;
+        }, {});
+    }
+
+    /**
+     * Converts the options given to one of the public functions into an Options instance. Options
+     * that have already been normalized are returned as is.
+     *
+     * @param {Object|Options} options (Optional) The options to normalize.
+     *
+     * @return {Options} The normalized options.
      */
-    var atomicTagsRegExp;
-    // Added head and style (for style tags inside the body)
-    var defaultAtomicTagsRegExp = new RegExp('^<(iframe|object|math|svg|script|video|head|style)');
-    
+    function normalizeOptions(options){
+        if (options instanceof Options){
+            return options;
+        }
+        return new Options(options);
+    }
+
     /**
      * Checks if the current word is the beginning of an atomic tag. An atomic tag is one whose
      * child nodes should not be compared - the entire tag should be treated as one token. This
-     * is useful for tags where it does not make sense to insert <ins> and <del> tags.
+     * is useful for tags where it does not make sense to insert <ins> and <del> tags. The tag
+     * name is only checked once it is complete, i.e. when the next character ends it.
      *
      * @param {string} word The characters of the current token read so far.
+     * @param {string} char The next character.
+     * @param {Options} options The options of the current diff.
      *
      * @return {string|null} The name of the atomic tag if the word will be an atomic tag,
      *    null otherwise
      */
-    function isStartOfAtomicTag(word){
-        var result = atomicTagsRegExp.exec(word);
-        return result && result[1];
+    function isStartOfAtomicTag(word, char, options){
+        var tagName = /^<([^\s\/>!?]+)$/.exec(word);
+        if (!tagName || !/[\s\/>]/.test(char) || !isAtomicTagName(tagName[1], options)){
+            return null;
+        }
+        return tagName[1];
+    }
+
+    /**
+     * Checks if a token is an atomic tag, see isStartOfAtomicTag.
+     *
+     * @param {string} token The token to check.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {boolean} True if the token is an atomic tag, false otherwise.
+     */
+    function isAtomicTag(token, options){
+        var tag = openingTagRegExp.exec(token);
+        return !!tag && isAtomicTagName(tag[1], options);
     }
 
     /**
      * Checks if the current word is the end of an atomic tag (i.e. it has all the characters,
-     * except for the end bracket of the closing tag, such as '<iframe></iframe').
+     * except for the end bracket of the closing tag, such as '<iframe></iframe'). The closing
+     * tag is matched case-insensitively and may contain whitespace before the end bracket.
+     * Atomic tags which are closed by themselves (e.g. '<ds-icon name="x"/') end as well.
      *
      * @param {string} word The characters of the current token read so far.
      * @param {string} tag The ending tag to look for.
@@ -98,30 +585,137 @@
      *    false otherwise.
      */
     function isEndOfAtomicTag(word, tag){
-        return word.substring(word.length - tag.length - 2) === ('</' + tag);
+        if (/^<[^>]*\/$/.test(word)){
+            return true;
+        }
+        var end = word.slice(word.lastIndexOf('</') + 2).replace(/\s+$/, '');
+        return word.lastIndexOf('</') !== -1 && end.toLowerCase() === tag.toLowerCase();
     }
 
     /**
-     * Checks if a tag is a void tag.
+     * Names of the HTML void elements, which never have a closing tag.
+     */
+    var voidTagNames = [
+        'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'keygen', 'link', 'meta',
+        'param', 'source', 'track', 'wbr'
+    ];
+
+    /**
+     * Checks if a tag is a void tag, i.e. a self-closing tag or the tag of an HTML void element
+     * written with or without the self-closing slash.
      *
      * @param {string} token The token to check.
      *
      * @return {boolean} True if the token is a void tag, false otherwise.
      */
     function isVoidTag(token){
-        return /^\s*<[^>]+\/>\s*$/.test(token);
+        if (/^\s*<(?:[^>"']|"[^"]*"|'[^']*')+\/>\s*$/.test(token)){
+            return true;
+        }
+        var tagName = isTag(token);
+        return !!tagName && voidTagNames.indexOf(tagName.toLowerCase()) !== -1;
     }
 
     /**
-     * Checks if a token can be wrapped inside a tag.
+     * Checks if a token can be wrapped inside a tag. Pass through tokens (e.g. comments and
+     * doctypes) are never wrapped.
      *
      * @param {string} token The token to check.
+     * @param {Options} options The options of the current diff.
      *
      * @return {boolean} True if the token can be wrapped inside a tag, false otherwise.
      */
-    function isWrappable(token){
-        var is_img = /^<img[\s>]/.test(token);
-        return is_img|| isntTag(token) || isStartOfAtomicTag(token) || isVoidTag(token);
+    function isWrappable(token, options){
+        if (isPassThroughToken(token)){
+            return false;
+        }
+        return isntTag(token) || isAtomicTag(token, options) || isVoidTag(token);
+    }
+
+    /**
+     * Names of the elements which may only contain certain child elements (besides whitespace),
+     * e.g. only <li> elements in a list, so content directly inside of them can't be wrapped in
+     * <ins> and <del> tags.
+     */
+    var restrictedParentTagNames = [
+        'ul', 'ol', 'menu', 'dl', 'select', 'optgroup', 'datalist', 'table', 'thead', 'tbody',
+        'tfoot', 'tr', 'colgroup'
+    ];
+
+    /**
+     * Names of the elements which may only contain text, so their content can't be wrapped in
+     * <ins> and <del> tags either. Inserted and deleted elements of this kind are only marked by
+     * the data-diff-node attribute.
+     */
+    var textOnlyTagNames = ['option', 'textarea', 'title'];
+
+    /**
+     * Checks if the content of an element can be wrapped in <ins> and <del> tags.
+     *
+     * @param {string|null} tagName The lowercased name of the element, null for the top level.
+     *
+     * @return {boolean} True if the content of the element can be wrapped, false otherwise.
+     */
+    function canWrapContent(tagName){
+        return restrictedParentTagNames.indexOf(tagName) === -1 &&
+                textOnlyTagNames.indexOf(tagName) === -1;
+    }
+
+    /**
+     * Tracks the names of the elements that are open in a list of tokens while the tokens are
+     * walked in order, so that rendering all operations of a diff stays linear. Going back to an
+     * earlier index starts over from the beginning of the list.
+     *
+     * @param {Array.<Token>} tokens The list of tokens.
+     *
+     * @constructor
+     */
+    function AncestorTracker(tokens){
+        this.tokens = tokens;
+        this.index = 0;
+        this.stack = [];
+    }
+
+    /**
+     * Gets the names of the elements that are open at an index of the list of tokens.
+     *
+     * @param {number} index The index of the token to get the open elements for.
+     *
+     * @return {Array.<string>} The lowercased names of the open elements, the innermost last.
+     */
+    AncestorTracker.prototype.get = function(index){
+        if (index < this.index){
+            this.index = 0;
+            this.stack = [];
+        }
+        for (; this.index < index; this.index++){
+            var token = this.tokens[this.index].string;
+            var tagName = /^\s*</.test(token) && !isVoidTag(token) && getTagName(token);
+            if (!tagName){
+                continue;
+            }
+            if (tagName.charAt(0) === '/'){
+                this.stack.pop();
+            } else {
+                this.stack.push(tagName);
+            }
+        }
+        return this.stack.slice();
+    };
+
+    /**
+     * Creates the ancestor trackers of both lists of tokens of a diff, see AncestorTracker.
+     *
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     *
+     * @return {Object} The trackers with the keys before and after.
+     */
+    function createAncestorTrackers(beforeTokens, afterTokens){
+        return {
+            before: new AncestorTracker(beforeTokens),
+            after: new AncestorTracker(afterTokens)
+        };
     }
 
     /**
@@ -129,13 +723,14 @@
      * comparisons and the string is used to recompose the document after the diff is complete.
      *
      * @param {string} currentWord The section of the document to create a token for.
+     * @param {Options} options (Optional) The options of the current diff.
      *
      * @return {Object} A token object with a string and key property.
      */
-    function createToken(currentWord){
+    function createToken(currentWord, options){
         return {
             string: currentWord,
-            key: getKeyForToken(currentWord)
+            key: getKeyForToken(currentWord, options)
         };
     }
 
@@ -167,19 +762,22 @@
      * Tokenizes a string of HTML.
      *
      * @param {string} html The string to tokenize.
+     * @param {Object} options (Optional) The options of the diff, see diff.
      *
      * @return {Array.<string>} The list of tokens.
      */
-    function htmlToTokens(html){
+    function htmlToTokens(html, options){
+        options = normalizeOptions(options);
         var mode = 'char';
         var currentWord = '';
         var currentAtomicTag = '';
+        var currentQuote = '';
         var words = [];
-        for (var i = 0; i < html.length; i++){
-            var char = html[i];
+        for (var i = 0; i < html.length; i += char.length){
+            var char = readCharacter(html, i);
             switch (mode){
                 case 'tag':
-                    var atomicTag = isStartOfAtomicTag(currentWord);
+                    var atomicTag = isStartOfAtomicTag(currentWord, char, options);
                     if (atomicTag){
                         mode = 'atomic_tag';
                         currentAtomicTag = atomicTag;
@@ -187,9 +785,24 @@
                     } else if (isStartofHTMLComment(currentWord)){
                         mode = 'html_comment';
                         currentWord += char;
+                    } else if (currentWord === '<![CDATA['){
+                        mode = 'cdata';
+                        currentWord += char;
+                    } else if (currentWord === '<?'){
+                        mode = 'processing_instruction';
+                        currentWord += char;
+                    } else if (currentQuote){
+                        // Inside a quoted attribute value, a '>' doesn't end the tag.
+                        if (char === currentQuote){
+                            currentQuote = '';
+                        }
+                        currentWord += char;
+                    } else if (isStartOfAttributeValue(char, currentWord)){
+                        currentQuote = char;
+                        currentWord += char;
                     } else if (isEndOfTag(char)){
                         currentWord += '>';
-                        words.push(createToken(currentWord));
+                        words.push(createToken(currentWord, options));
                         currentWord = '';
                         if (isWhitespace(char)){
                             mode = 'whitespace';
@@ -203,7 +816,7 @@
                 case 'atomic_tag':
                     if (isEndOfTag(char) && isEndOfAtomicTag(currentWord, currentAtomicTag)){
                         currentWord += '>';
-                        words.push(createToken(currentWord));
+                        words.push(createToken(currentWord, options));
                         currentWord = '';
                         currentAtomicTag = '';
                         mode = 'char';
@@ -214,40 +827,57 @@
                 case 'html_comment':
                     currentWord += char;
                     if (isEndOfHTMLComment(currentWord)){
+                        words.push(createToken(currentWord, options));
+                        currentWord = '';
+                        mode = 'char';
+                    }
+                    break;
+                case 'cdata':
+                    currentWord += char;
+                    if (/\]\]>$/.test(currentWord)){
+                        words.push(createToken(currentWord, options));
+                        currentWord = '';
+                        mode = 'char';
+                    }
+                    break;
+                case 'processing_instruction':
+                    currentWord += char;
+                    if (/\?>$/.test(currentWord)){
+                        words.push(createToken(currentWord, options));
                         currentWord = '';
                         mode = 'char';
                     }
                     break;
                 case 'char':
-                    if (isStartOfTag(char)){
+                    if (isStartOfTag(char, html[i + char.length])){
                         if (currentWord){
-                            words.push(createToken(currentWord));
+                            words.push(createToken(currentWord, options));
                         }
                         currentWord = '<';
                         mode = 'tag';
                     } else if (/\s/.test(char)){
                         if (currentWord){
-                            words.push(createToken(currentWord));
+                            words.push(createToken(currentWord, options));
                         }
                         currentWord = char;
                         mode = 'whitespace';
-                    } else if (/[\w\d\#@]/.test(char)){
+                    } else if (isWordChar(char)){
                         currentWord += char;
                     } else if (/&/.test(char)){
                         if (currentWord){
-                            words.push(createToken(currentWord));
+                            words.push(createToken(currentWord, options));
                         }
                         currentWord = char;
                     } else {
                         currentWord += char;
-                        words.push(createToken(currentWord));
+                        words.push(createToken(currentWord, options));
                         currentWord = '';
                     }
                     break;
                 case 'whitespace':
-                    if (isStartOfTag(char)){
+                    if (isStartOfTag(char, html[i + char.length])){
                         if (currentWord){
-                            words.push(createToken(currentWord));
+                            words.push(createToken(currentWord, options));
                         }
                         currentWord = '<';
                         mode = 'tag';
@@ -255,7 +885,7 @@
                         currentWord += char;
                     } else {
                         if (currentWord){
-                            words.push(createToken(currentWord));
+                            words.push(createToken(currentWord, options));
                         }
                         currentWord = char;
                         mode = 'char';
@@ -266,51 +896,217 @@
             }
         }
         if (currentWord){
-            words.push(createToken(currentWord));
+            words.push(createToken(currentWord, options));
         }
-        return words;
-    }
-
-    /**
-     * Creates a key that should be used to match tokens. This is useful, for example, if we want
+        words = words.reduce(function(result, token){
+            if (isWordChar(token.string)){
+                splitWord(token.string).forEach(function(word){
+                    result.push(word === token.string ? token : createToken(word, options));
+                });
+            } else {
+                result.push(token);
+            }
+            return result;
+        }, []);
+        if (options.ignoreNumbersFormatting){
+            words = combineNumbers(words, options);
+        }
+        if (options.ignoreWhitespace){
+            words = attachBlockWhitespace(words, options);
+        }
+        if (options.granularity === 'sentence' || options.granularity === 'block'){
+            return groupTokens(words, options.granularity);
+        }
+        return words;
+    }
+
+    /**
+     * Combines the tokens of numbers with separators (e.g. '1,', '000.' and '50') into single
+     * tokens, so that their keys can be normalized, see normalizeNumber.
+     *
+     * @param {Array.<Token>} tokens The list of tokens.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {Array.<Token>} The list of tokens with combined numbers.
+     */
+    function combineNumbers(tokens, options){
+        return tokens.reduce(function(result, token){
+            var last = result[result.length - 1];
+            if (last && /^[+\-]?\d[\d,.'\u2019]*[,.'\u2019]$/.test(last.string) &&
+                    /^\d/.test(token.string)){
+                result[result.length - 1] = createToken(last.string + token.string, options);
+            } else {
+                result.push(token);
+            }
+            return result;
+        }, []);
+    }
+
+    /**
+     * Attaches whitespace next to block tags to these tags, so that whitespace between blocks,
+     * which isn't rendered, isn't compared. Whitespace follows the block tag before it, or else
+     * precedes the block tag after it. The whitespace of <pre> elements is kept.
+     *
+     * @param {Array.<Token>} tokens The list of tokens.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {Array.<Token>} The list of tokens with attached whitespace.
+     */
+    function attachBlockWhitespace(tokens, options){
+        function isBlockBoundary(token){
+            return !!token && isBlockTag(token.string) &&
+                    getTagName(token.string).replace(/^\//, '') !== 'pre';
+        }
+
+        var result = [];
+        for (var i = 0; i < tokens.length; i++){
+            var token = tokens[i];
+            var last = result[result.length - 1];
+            if (!isWhitespace(token.string)){
+                result.push(token);
+            } else if (isBlockBoundary(last)){
+                result[result.length - 1] = createToken(last.string + token.string, options);
+            } else if (isBlockBoundary(tokens[i + 1])){
+                tokens[i + 1] = createToken(token.string + tokens[i + 1].string, options);
+            } else {
+                result.push(token);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Names of the elements which are boundaries for the sentence and block granularity.
+     */
+    var blockTagNames = [
+        'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'details', 'dialog',
+        'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3',
+        'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'html', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+        'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+    ];
+
+    /**
+     * Checks if a token is an opening or closing tag of a block element.
+     *
+     * @param {string} token The token to check.
+     *
+     * @return {boolean} True if the token is a block tag, false otherwise.
+     */
+    function isBlockTag(token){
+        var tagName = isTag(token);
+        return !!tagName && blockTagNames.indexOf(tagName.replace(/^\//, '').toLowerCase()) !== -1;
+    }
+
+    /**
+     * Combines a list of tokens into a single token.
+     *
+     * @param {Array.<Token>} tokens The tokens to combine.
+     *
+     * @return {Token} The combined token.
+     */
+    function combineTokens(tokens){
+        return tokens.reduce(function(combined, token){
+            combined.string += token.string;
+            combined.key += token.key;
+            return combined;
+        }, {string: '', key: ''});
+    }
+
+    /**
+     * Groups a list of word tokens into sentences or into the content of block elements. Block
+     * tags and pass through tokens always stay tokens of their own, so the groups never cross
+     * block boundaries. Sentences are only ended outside of inline elements, so every group keeps
+     * its inline tags balanced. Inline elements which aren't closed before the end of their block
+     * continue into the next block like in browsers, so only the group is split there.
+     *
+     * @param {Array.<Token>} tokens The list of word tokens.
+     * @param {string} granularity Either 'sentence' or 'block'.
+     *
+     * @return {Array.<Token>} The list of grouped tokens.
+     */
+    function groupTokens(tokens, granularity){
+        var groups = [];
+        var current = [];
+        var openTags = [];
+        var sentenceEnded = false;
+
+        function endGroup(){
+            if (current.length){
+                groups.push(combineTokens(current));
+                current = [];
+            }
+            sentenceEnded = false;
+        }
+
+        tokens.forEach(function(token){
+            if (isBlockTag(token.string) || isPassThroughToken(token.string)){
+                endGroup();
+                groups.push(token);
+                return;
+            }
+            if (granularity === 'sentence' && sentenceEnded && isWhitespace(token.string)){
+                endGroup();
+                groups.push(token);
+                return;
+            }
+            current.push(token);
+
+            var tagName = isTag(token.string);
+            if (tagName && !isVoidTag(token.string)){
+                if (tagName[0] === '/'){
+                    var position = openTags.lastIndexOf(tagName.slice(1));
+                    if (position !== -1){
+                        openTags.length = position;
+                    }
+                } else {
+                    openTags.push(tagName);
+                }
+            } else if (!tagName){
+                if (/[.!?\u3002\uff01\uff1f]$/.test(token.string)){
+                    sentenceEnded = !openTags.length;
+                } else if (!/^["')\]]$/.test(token.string)){
+                    sentenceEnded = false;
+                }
+            }
+        });
+        endGroup();
+        return groups;
+    }
+
+    /**
+     * Creates a key that should be used to match tokens. This is useful, for example, if we want
      * to consider two open tag tokens as equal, even if they don't have the same attributes. We
      * use a key instead of overwriting the token because we may want to render the original string
      * without losing the attributes.
      *
      * @param {string} token The token to create the key for.
+     * @param {Options} options (Optional) The options of the current diff. They are normalized
+     *      once per diff by the caller, e.g. htmlToTokens, and default to the default options.
      *
      * @return {string} The identifying key that should be used to match before and after tokens.
      */
-    function getKeyForToken(token){
-        // If the token is an image element, grab it's src attribute to include in the key.
-        var img = /^<img.*src=['"]([^"']*)['"].*>$/.exec(token);
-        if (img) {
-            return '<img src="' + img[1] + '">';
-        }
+    function getKeyForToken(token, options){
+        options = options || new Options();
 
-        // If the token is an object element, grab it's data attribute to include in the key.
-        var object = /^<object.*data=['"]([^"']*)['"]/.exec(token);
-        if (object) {
-            return '<object src="' + object[1] + '"></object>';
+        // Unless comments are compared, all comments share the same key so that they are never
+        // reported as changes.
+        if (isComment(token)){
+            return options.compareComments ? token.replace(/\s+/g, ' ') : '<!---->';
         }
 
-        // If it's a video, math or svg element, the entire token should be compared except the
-        // data-uuid.
-        if(/^<(svg|math|video)[\s>]/.test(token)) {
-            var uuid = token.indexOf('data-uuid="');
-            if (uuid !== -1) {
-                var start = token.slice(0, uuid);
-                var end = token.slice(uuid + 44);
-                return start + end;
-            } else {
-                return token;
-            } 
+        // Doctypes are compared case-insensitively, CDATA sections and processing instructions
+        // by their entire content.
+        if (isDoctype(token)){
+            return token.toLowerCase().replace(/\s+/g, ' ');
+        }
+        if (isCData(token) || isProcessingInstruction(token)){
+            return token;
         }
 
-        // If the token is an iframe element, grab it's src attribute to include in it's key.
-        var iframe = /^<iframe.*src=['"]([^"']*)['"].*>/.exec(token);
-        if (iframe) {
-            return '<iframe src="' + iframe[1] + '"></iframe>';
+        // Elements with their own identity are keyed by the first matching key plugin.
+        var key = getPluginKey(token, options);
+        if (key !== null){
+            return key;
         }
 
         // If the token is any other element, just grab the tag name.
@@ -321,11 +1117,200 @@
 
         // Otherwise, the token is text, collapse the whitespace.
         if (token) {
-            return token.replace(/(\s+|&nbsp;|&#160;)/g, ' ');
+            key = token.replace(/(\s+|&nbsp;|&#160;)/g, ' ');
+            if (options.ignoreCase){
+                key = key.toLowerCase();
+            }
+            // The separators inside numbers are never treated as punctuation, since removing
+            // the decimal point would change the value.
+            if (options.ignoreNumbersFormatting || options.ignorePunctuation){
+                key = key.replace(/\d[\d,.'\u2019]*\d|\d|[\s\S]/g, function(part){
+                    if (/^\d/.test(part)){
+                        return options.ignoreNumbersFormatting ? normalizeNumber(part) : part;
+                    }
+                    return options.ignorePunctuation && punctuationRegExp.test(part) ? '' : part;
+                });
+                // Tokens of punctuation only match each other, but never text or whitespace.
+                if (!key){
+                    return punctuationKey;
+                }
+            }
+            return key;
         }
         return token;
     }
 
+    /**
+     * The default key plugins, see getPluginKey. Images, iframes and objects are identified by
+     * their source, videos, math and svg elements by their entire content except the data-uuid
+     * attribute.
+     */
+    var defaultKeyPlugins = [
+        {
+            tagName: 'img',
+            key: function(token, attributes){
+                return 'src' in attributes ? '<img src="' + attributes.src + '">' : null;
+            }
+        },
+        {
+            tagName: 'object',
+            key: function(token, attributes){
+                return 'data' in attributes ? '<object src="' + attributes.data + '"></object>' :
+                        null;
+            }
+        },
+        {
+            tagName: ['svg', 'math', 'video'],
+            key: function(token){
+                return removeAttributes(token, function(name){
+                    return name === 'data-uuid';
+                });
+            }
+        },
+        {
+            tagName: 'iframe',
+            key: function(token, attributes){
+                return 'src' in attributes ? '<iframe src="' + attributes.src + '"></iframe>' :
+                        null;
+            }
+        }
+    ];
+
+    /**
+     * Gets the key of an element token from the key plugins of the options, which are checked
+     * before the default key plugins. A key plugin is an object with the following keys:
+     *      - {string|Array.<string>} tagName (Optional) The name or the names of the elements
+     *        the plugin applies to.
+     *      - {function(string, string): boolean} test (Optional) Called with the token and the
+     *        lowercased tag name, returns true if the plugin applies to the token.
+     *      - {function(string, Object, string): string} key Called with the token, its
+     *        attributes (see getAttributes) and the lowercased tag name, returns the key of the
+     *        token, or null to leave the token to the next plugin.
+     * A plugin without tagName and test applies to all elements.
+     *
+     * @param {string} token The token to create the key for.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {string|null} The key of the token, or null if no plugin applies to the token.
+     */
+    function getPluginKey(token, options){
+        var tag = openingTagRegExp.exec(token);
+        if (!tag){
+            return null;
+        }
+        var tagName = tag[1].toLowerCase();
+        var attributes = null;
+        for (var i = 0; i < options.keyPlugins.length; i++){
+            var tagNames = options.keyPlugins[i].tagNames;
+            var plugin = options.keyPlugins[i].plugin;
+            if ((tagNames.length && tagNames.indexOf(tagName) === -1) ||
+                    (plugin.test && !plugin.test(token, tagName))){
+                continue;
+            }
+            attributes = attributes || getAttributes(token);
+            var key = plugin.key(token, attributes, tagName);
+            if (key !== null && key !== undefined){
+                return key;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The key of text tokens consisting of punctuation only if punctuation is ignored. It
+     * contains a NUL character, which never occurs in the text of an HTML document.
+     */
+    var punctuationKey = '\u0000punctuation';
+
+    /**
+     * Normalizes the formatting of a number, i.e. removes the group separators (',' or
+     * apostrophes between groups of three digits), leading zeros and trailing zeros of the
+     * decimal places. Numbers in other formats, e.g. '1,5', are kept as they are.
+     *
+     * @param {string} number The number to normalize, e.g. '1,000.50'.
+     *
+     * @return {string} The normalized number, e.g. '1000.5'.
+     */
+    function normalizeNumber(number){
+        var parts = /^(\d{1,3}([,'\u2019])\d{3}(?:\2\d{3})*|\d+)(\.\d+)?$/.exec(number);
+        if (!parts){
+            return number;
+        }
+        var integer = parts[1].replace(/[,'\u2019]/g, '').replace(/^0+(?=\d)/, '');
+        var decimals = (parts[3] || '').replace(/0+$/, '').replace(/\.$/, '');
+        return integer + decimals;
+    }
+
+    /**
+     * Regular expression to match the opening tag at the start of a token. Quoted attribute
+     * values may contain a '>'.
+     */
+    var openingTagRegExp = /^\s*<([^\s>\/!?]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/;
+
+    /**
+     * Parses the attributes of the opening tag at the start of a token.
+     *
+     * @param {string} token The token to parse.
+     *
+     * @return {Object|null} A mapping from lowercased attribute name to attribute value, or null
+     *    if the token doesn't start with an opening tag. Attributes without a value are mapped to
+     *    an empty string.
+     */
+    function getAttributes(token){
+        var tag = openingTagRegExp.exec(token);
+        if (!tag){
+            return null;
+        }
+        var attributeRegExp = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+        var attributes = Object.create(null);
+        var match;
+        while ((match = attributeRegExp.exec(tag[2]))){
+            var value = match[2] !== undefined ? match[2] :
+                    match[3] !== undefined ? match[3] : match[4];
+            attributes[match[1].toLowerCase()] = value || '';
+        }
+        return attributes;
+    }
+
+    /**
+     * Determines which attributes of an element differ between the before and after version of
+     * the element.
+     *
+     * @param {string} beforeToken The token of the element in the before document.
+     * @param {string} afterToken The token of the element in the after document.
+     *
+     * @return {Array.<string>} The names of the attributes that were added, removed or changed,
+     *    sorted by name. The list is empty if the tokens are no opening tags.
+     */
+    function getChangedAttributes(beforeToken, afterToken){
+        var before = getAttributes(beforeToken);
+        var after = getAttributes(afterToken);
+        if (!before || !after){
+            return [];
+        }
+        var names = Object.keys(before).concat(Object.keys(after).filter(function(name){
+            return !(name in before);
+        }));
+        return names.filter(function(name){
+            return before[name] !== after[name];
+        }).sort();
+    }
+
+    /**
+     * Adds attributes to the opening tag at the start of a token.
+     *
+     * @param {string} token The token to add the attributes to.
+     * @param {string} attributes The attributes to add, including a leading space.
+     *
+     * @return {string} The token with the added attributes.
+     */
+    function addAttributes(token, attributes){
+        return token.replace(openingTagRegExp, function(tag, name, rest, slash){
+            var start = tag.slice(0, tag.length - slash.length - 1).replace(/\s+$/, '');
+            return start + attributes + slash + '>';
+        });
+    }
+
     /**
      * Creates a map from token key to an array of indices of locations of the matching token in
      * the list of all tokens.
@@ -636,8 +1621,8 @@
                             segment.beforeIndex, segment.afterIndex));
                 }
 
-                // If there's an unmatched area at the end of the segment, create a new segment from that
-                // area and throw it into the segments array to get processed.
+                // If there's an unmatched area at the end of the segment, create a new segment
+                // from that area and throw it into the segments array to get processed.
                 var rightBeforeTokens = segment.beforeTokens.slice(match.segmentEndInBefore + 1);
                 var rightAfterTokens = segment.afterTokens.slice(match.segmentEndInAfter + 1);
                 var rightBeforeIndex = segment.beforeIndex + match.segmentEndInBefore + 1;
@@ -662,20 +1647,79 @@
      *
      * @param {Array.<string>} beforeTokens The before list of tokens.
      * @param {Array.<string>} afterTokens The after list of tokens.
+     * @param {Object} options (Optional) The options of the diff, see diff.
      *
      * @return {Array.<Object>} The list of operations to transform the before list of
      *      tokens into the after list of tokens, where each operation has the following
      *      keys:
-     *      - {string} action One of {'replace', 'insert', 'delete', 'equal'}.
+     *      - {string} action One of {'replace', 'insert', 'delete', 'equal', 'attributes',
+     *        'format', 'retag', 'move'}. The actions 'attributes', 'format' and 'move' are only
+     *        used if the options compareAttributes, compareFormatting and detectMoves are set.
      *      - {number} startInBefore The beginning of the range in the list of before tokens.
      *      - {number} endInBefore The end of the range in the list of before tokens.
      *      - {number} startInAfter The beginning of the range in the list of after tokens.
      *      - {number} endInAfter The end of the range in the list of after tokens.
+     *      - {Array.<string>} changedAttributes (Only for 'attributes') The names of the
+     *        attributes that were added, removed or changed.
+     *      - {Array.<string>} addedFormats (Only for 'format') The names of the formatting
+     *        elements the text is contained in only after the changes.
+     *      - {Array.<string>} removedFormats (Only for 'format') The names of the formatting
+     *        elements the text was contained in only before the changes.
+     *      - {string} oldTagName (Only for 'retag') The name of the block element before the
+     *        changes. Both the opening and the closing tag of a retagged element get an
+     *        operation. Only used if the option detectRetags is set.
+     *      - {string} moved (Only for 'move') Either 'from' for the block in the before list
+     *        of tokens, like a delete, or 'to' for the block in the after list, like an insert.
+     *      - {number} moveId (Only for 'move') The id shared by the two operations of a move.
+     *      - {number} sourceStartInBefore, sourceEndInBefore (Only for 'move' to) The range of
+     *        the moved block in the before list of tokens.
      */
-    function calculateOperations(beforeTokens, afterTokens){
+    function calculateOperations(beforeTokens, afterTokens, options){
         if (!beforeTokens) throw new Error('Missing beforeTokens');
         if (!afterTokens) throw new Error('Missing afterTokens');
+        options = normalizeOptions(options);
+
+        var operations = diffTokens(beforeTokens, afterTokens);
+        if (options.detectRetags){
+            operations = findRetaggedBlocks(operations, beforeTokens, afterTokens);
+        }
+        operations = extendIdentityChanges(operations, beforeTokens, afterTokens, options);
+        if (options.detectMoves){
+            operations = findMovedBlocks(operations, beforeTokens, afterTokens);
+        }
+        if (options.compareAttributes){
+            operations = splitAttributeChanges(operations, beforeTokens, afterTokens);
+        }
+        if (options.compareFormatting){
+            operations = splitFormatChanges(operations, beforeTokens, afterTokens);
+        }
+        return operations;
+    }
 
+    /**
+     * Gets the list of operations between two lists of tokens. Tables, lists and selects are
+     * diffed by their structure, see calculateStructuredOperations.
+     *
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     *
+     * @return {Array.<Object>} The list of operations, see calculateOperations.
+     */
+    function diffTokens(beforeTokens, afterTokens){
+        return calculateStructuredOperations(beforeTokens, afterTokens) ||
+                matchOperations(beforeTokens, afterTokens);
+    }
+
+    /**
+     * Gets the list of operations between two lists of tokens from the matching blocks of the
+     * lists.
+     *
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     *
+     * @return {Array.<Object>} The list of operations, see calculateOperations.
+     */
+    function matchOperations(beforeTokens, afterTokens){
         var positionInBefore = 0;
         var positionInAfter = 0;
         var operations = [];
@@ -749,189 +1793,2774 @@
     }
 
     /**
-     * A TokenWrapper provides a utility for grouping segments of tokens based on whether they're
-     * wrappable or not. A tag is considered wrappable if it is closed within the given set of
-     * tokens. For example, given the following tokens:
-     *
-     *      ['</b>', 'this', ' ', 'is', ' ', 'a', ' ', '<b>', 'test', '</b>', '!']
+     * Gets the lowercased name of a tag.
      *
-     * The first '</b>' is not considered wrappable since the tag is not fully contained within the
-     * array of tokens. The '<b>', 'test', and '</b>' would be a part of the same wrappable segment
-     * since the entire bold tag is within the set of tokens.
+     * @param {string} token The token to get the tag name of.
      *
-     * TokenWrapper has a method 'combine' which allows walking over the segments to wrap them in
-     * tags.
+     * @return {string|null} The tag name, prefixed with a '/' for closing tags, or null if the
+     *      token isn't a tag.
      */
-    function TokenWrapper(tokens){
-        this.tokens = tokens;
-        this.notes = tokens.reduce(function(data, token, index){
-            data.notes.push({
-                isWrappable: isWrappable(token),
-                insertedTag: false
-            });
+    function getTagName(token){
+        var tagName = isTag(token);
+        return tagName ? tagName.toLowerCase() : null;
+    }
 
-            var tag = !isVoidTag(token) && isTag(token);
-            var lastEntry = data.tagStack[data.tagStack.length - 1];
-            if (tag){
-                if (lastEntry && '/' + lastEntry.tag === tag){
-                    data.notes[lastEntry.position].insertedTag = true;
-                    data.tagStack.pop();
-                } else {
-                    data.tagStack.push({
-                        tag: tag,
-                        position: index
-                    });
-                }
+    /**
+     * Finds the closing tag of the element whose opening tag is at the given index.
+     *
+     * @param {Array.<Token>} tokens The list of tokens.
+     * @param {number} index The index of the opening tag.
+     * @param {number} end The index of the last token to search.
+     *
+     * @return {number} The index of the closing tag, or -1 if the element isn't closed.
+     */
+    function findClosingTag(tokens, index, end){
+        var tagName = getTagName(tokens[index].string);
+        var depth = 0;
+        for (var i = index; i <= end; i++){
+            var name = getTagName(tokens[i].string);
+            if (name === tagName){
+                depth++;
+            } else if (name === '/' + tagName && --depth === 0){
+                return i;
             }
-            return data;
-        }, {notes: [], tagStack: []}).notes;
+        }
+        return -1;
     }
 
     /**
-     * Wraps the contained tokens in tags based on output given by a map function. Each segment of
-     * tokens will be visited. A segment is a continuous run of either all wrappable
-     * tokens or unwrappable tokens. The given map function will be called with each segment of
-     * tokens and the resulting strings will be combined to form the wrapped HTML.
+     * Splits a range of tokens into units for the structural diff. Every element with
+     * one of the given tag names becomes a single unit, every other token is a unit of its own.
      *
-     * @param {function(boolean, Array.<string>)} mapFn A function called with an array of tokens
-     *      and whether those tokens are wrappable or not. The result should be a string.
+     * @param {Array.<Token>} tokens The list of tokens.
+     * @param {number} start The index of the first token of the range.
+     * @param {number} end The index of the last token of the range.
+     * @param {Array.<string>} tagNames The names of the elements to combine into units.
+     *
+     * @return {Array.<Object>|null} The list of units with the keys start, end, key and tagName
+     *      (null for single tokens), or null if one of the elements isn't closed.
      */
-    TokenWrapper.prototype.combine = function(mapFn, tagFn){
-        var notes = this.notes;
-        var tokens = this.tokens.slice();
-        var segments = tokens.reduce(function(data, token, index){
-            if (notes[index].insertedTag){
-                tokens[index] = tagFn(tokens[index]);
-            }
-            if (data.status === null){
-                data.status = notes[index].isWrappable;
-            }
-            var status = notes[index].isWrappable;
-            if (status !== data.status){
-                data.list.push({
-                    isWrappable: data.status,
-                    tokens: tokens.slice(data.lastIndex, index)
-                });
-                data.lastIndex = index;
-                data.status = status;
+    function getUnits(tokens, start, end, tagNames){
+        var units = [];
+        for (var i = start; i <= end; i++){
+            var tagName = getTagName(tokens[i].string);
+            if (tagNames.indexOf(tagName) === -1){
+                units.push({start: i, end: i, key: tokens[i].key, tagName: null});
+                continue;
             }
-            if (index === tokens.length - 1){
-                data.list.push({
-                    isWrappable: data.status,
-                    tokens: tokens.slice(data.lastIndex, index + 1)
-                });
+            var close = findClosingTag(tokens, i, end);
+            if (close === -1){
+                return null;
             }
-            return data;
-        }, {list: [], status: null, lastIndex: 0}).list;
-
-        return segments.map(mapFn).join('');
-    };
+            var key = tokens.slice(i + 1, close).map(function(token){
+                return token.key;
+            }).join('');
+            units.push({start: i, end: close, key: '<' + tagName + '>' + key, tagName: tagName});
+            i = close;
+        }
+        return units;
+    }
 
     /**
-     * Wraps and concatenates a list of tokens with a tag. Does not wrap tag tokens,
-     * unless they are wrappable (i.e. void and atomic tags).
+     * Gets the similarity of two units, i.e. the share of the parts (e.g. cells of a row or words
+     * of a paragraph) that both units have in common.
      *
-     * @param {sting} tag The tag name of the wrapper tags.
-     * @param {Array.<string>} content The list of tokens to wrap.
-     * @param {string} dataPrefix (Optional) The prefix to use in data attributes.
-     * @param {string} className (Optional) The class name to include in the wrapper tag.
+     * @param {Array.<string>} beforeKeys The keys of the parts of the before unit.
+     * @param {Array.<string>} afterKeys The keys of the parts of the after unit.
+     *
+     * @return {number} The similarity between 0 (nothing in common) and 1 (the same parts).
      */
-    function wrap(tag, content, opIndex, dataPrefix, className){
-        var wrapper = new TokenWrapper(content);
-        dataPrefix = dataPrefix ? dataPrefix + '-' : '';
-        var attrs = ' data-' + dataPrefix + 'operation-index="' + opIndex + '"';
-        if (className){
-            attrs += ' class="' + className + '"';
-        }
-
-        return wrapper.combine(function(segment){
-            if (segment.isWrappable){
-                var val = segment.tokens.join('');
-                if (val.trim()){
-                    return '<' + tag + attrs + '>' + val + '</' + tag + '>';
-                }
-            } else {
-                return segment.tokens.join('');
+    function getSimilarity(beforeKeys, afterKeys){
+        var remaining = afterKeys.slice();
+        var common = beforeKeys.filter(function(key){
+            var index = remaining.indexOf(key);
+            if (index !== -1){
+                remaining.splice(index, 1);
+                return true;
             }
-            return '';
-        }, function(openingTag){
-            var dataAttrs = ' data-diff-node="' + tag + '"';
-            dataAttrs += ' data-' + dataPrefix + 'operation-index="' + opIndex + '"';
-
-            return openingTag.replace(/>\s*$/, dataAttrs + '$&');
-        });
+            return false;
+        }).length;
+        var total = beforeKeys.length + afterKeys.length;
+        return total > 0 ? 2 * common / total : 0;
     }
 
     /**
-     * OPS.equal/insert/delete/replace are functions that render an operation into
-     * HTML content.
+     * Checks if two units are similar enough to be considered the same unit with changes,
+     * e.g. the same table row with a changed cell.
      *
-     * @param {Object} op The operation that applies to a prticular list of tokens. Has the
-     *      following keys:
-     *      - {string} action One of ['replace', 'insert', 'delete', 'equal'].
-     *      - {number} startInBefore The beginning of the range in the list of before tokens.
-     *      - {number} endInBefore The end of the range in the list of before tokens.
-     *      - {number} startInAfter The beginning of the range in the list of after tokens.
-     *      - {number} endInAfter The end of the range in the list of after tokens.
-     * @param {Array.<string>} beforeTokens The before list of tokens.
-     * @param {Array.<string>} afterTokens The after list of tokens.
-     * @param {number} opIndex The index into the list of operations that identifies the change to
-     *      be rendered. This is used to mark wrapped HTML as part of the same operation.
-     * @param {string} dataPrefix (Optional) The prefix to use in data attributes.
-     * @param {string} className (Optional) The class name to include in the wrapper tag.
+     * @param {Array.<string>} beforeKeys The keys of the parts of the before unit.
+     * @param {Array.<string>} afterKeys The keys of the parts of the after unit.
      *
-     * @return {string} The rendering of that operation.
+     * @return {boolean} True if at least half of the parts are common to both units.
+     */
+    function isSimilar(beforeKeys, afterKeys){
+        return getSimilarity(beforeKeys, afterKeys) >= 0.5;
+    }
+
+    /**
+     * Appends an operation to a list of operations. Operations which continue the last
+     * operation with the same action are merged into it.
+     *
+     * @param {Array.<Object>} operations The list of operations.
+     * @param {string} action The action of the operation.
+     * @param {number} startInBefore The beginning of the range in the list of before tokens.
+     * @param {number} endInBefore The end of the range in the list of before tokens.
+     * @param {number} startInAfter The beginning of the range in the list of after tokens.
+     * @param {number} endInAfter The end of the range in the list of after tokens.
+     */
+    function pushOperation(operations, action, startInBefore, endInBefore, startInAfter,
+            endInAfter){
+        if (action === 'insert'){
+            endInBefore = null;
+        } else if (action === 'delete'){
+            endInAfter = null;
+        }
+        var last = operations[operations.length - 1];
+        if (last && last.action === action && action !== 'replace' &&
+                (action === 'insert' || last.endInBefore + 1 === startInBefore) &&
+                (action === 'delete' || last.endInAfter + 1 === startInAfter)){
+            last.endInBefore = endInBefore;
+            last.endInAfter = endInAfter;
+            return;
+        }
+        operations.push({
+            action: action,
+            startInBefore: startInBefore,
+            endInBefore: endInBefore,
+            startInAfter: startInAfter,
+            endInAfter: endInAfter
+        });
+    }
+
+    /**
+     * The names of the child elements which are combined into units by the structural diff for
+     * each element, see calculateStructuredOperations.
+     */
+    var structuredChildTagNames = {
+        table: ['tr'],
+        tr: ['td', 'th'],
+        ul: ['li'],
+        ol: ['li'],
+        menu: ['li'],
+        dl: ['dt', 'dd'],
+        select: ['option', 'optgroup'],
+        optgroup: ['option'],
+        datalist: ['option']
+    };
+
+    /**
+     * Calculates the operations between two ranges of tokens structurally. An element of a
+     * table, a list or a select (e.g. a row or a list item) can't be wrapped as a whole, so it
+     * has to be inserted, deleted or diffed inside as a complete element. To do so, the tables,
+     * lists and selects of a document and their child elements (e.g. the rows of a table and
+     * the cells of a row) are each combined into single units, which are matched first. Matched
+     * units are then diffed one level deeper, down to the contents of the cells and items, which
+     * are diffed like any other content. Elements which may only contain text (e.g. options) are
+     * never diffed inside, changed ones are deleted and inserted again.
+     *
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     *
+     * @return {Array.<Object>|null} The list of operations, see calculateOperations, or null if
+     *      the tokens don't contain any complete table, list or select.
+     */
+    function calculateStructuredOperations(beforeTokens, afterTokens){
+        var childTagNames = structuredChildTagNames;
+        var rootTagNames = ['table', 'ul', 'ol', 'menu', 'dl', 'select', 'datalist'];
+        var beforeUnits = getUnits(beforeTokens, 0, beforeTokens.length - 1, rootTagNames);
+        var afterUnits = getUnits(afterTokens, 0, afterTokens.length - 1, rootTagNames);
+        if (!beforeUnits || !afterUnits || !(beforeUnits.length < beforeTokens.length ||
+                afterUnits.length < afterTokens.length)){
+            return null;
+        }
+        var operations = [];
+
+        // All elements of the same kind share the same key, so that they are matched in order
+        // and diffed inside.
+        [beforeUnits, afterUnits].forEach(function(units){
+            units.forEach(function(unit){
+                if (unit.tagName){
+                    unit.key = '<' + unit.tagName + '>';
+                }
+            });
+        });
+
+        /**
+         * Gets the keys of the parts of an element, i.e. of its child elements or its tokens,
+         * without whitespace.
+         */
+        function getPartKeys(tokens, unit){
+            var units = getUnits(tokens, unit.start + 1, unit.end - 1,
+                    childTagNames[unit.tagName] || []) || [];
+            return units.map(function(part){
+                return part.key;
+            }).filter(function(key){
+                return key !== ' ';
+            });
+        }
+
+        function isDiffable(unit){
+            return !!unit.tagName && textOnlyTagNames.indexOf(unit.tagName) === -1;
+        }
+
+        function isSimilarElement(beforeUnit, afterUnit){
+            return isSimilar(getPartKeys(beforeTokens, beforeUnit),
+                    getPartKeys(afterTokens, afterUnit));
+        }
+
+        /**
+         * Diffs the contents of two matched elements, the opening and closing tags are equal.
+         */
+        function diffElement(beforeUnit, afterUnit){
+            var beforeStart = beforeUnit.start + 1;
+            var beforeEnd = beforeUnit.end - 1;
+            var afterStart = afterUnit.start + 1;
+            var afterEnd = afterUnit.end - 1;
+            var children = childTagNames[afterUnit.tagName];
+            var beforeChildren = children &&
+                    getUnits(beforeTokens, beforeStart, beforeEnd, children);
+            var afterChildren = children && getUnits(afterTokens, afterStart, afterEnd, children);
+
+            pushOperation(operations, 'equal', beforeUnit.start, beforeUnit.start,
+                    afterUnit.start, afterUnit.start);
+            if (beforeChildren && afterChildren){
+                diffUnits(beforeChildren, afterChildren, beforeEnd + 1, afterEnd + 1, true);
+            } else {
+                diffTokens(beforeTokens.slice(beforeStart, beforeEnd + 1),
+                        afterTokens.slice(afterStart, afterEnd + 1)).forEach(function(op){
+                    pushOperation(operations, op.action,
+                            op.startInBefore + beforeStart, op.endInBefore + beforeStart,
+                            op.startInAfter + afterStart, op.endInAfter + afterStart);
+                });
+            }
+            pushOperation(operations, 'equal', beforeUnit.end, beforeUnit.end,
+                    afterUnit.end, afterUnit.end);
+        }
+
+        /**
+         * Matches two lists of units and diffs the matched elements. Within replaced ranges,
+         * similar elements are diffed as well if pairing is enabled, all other units are
+         * deleted or inserted.
+         */
+        function diffUnits(beforeUnits, afterUnits, beforeEnd, afterEnd, pairElements){
+            function position(units, index, end){
+                return index < units.length ? units[index].start : end;
+            }
+
+            matchOperations(beforeUnits, afterUnits).forEach(function(op){
+                var beforeFirst = op.startInBefore;
+                var afterFirst = op.startInAfter;
+                var beforeLast = op.endInBefore === null ? beforeFirst - 1 : op.endInBefore;
+                var afterLast = op.endInAfter === null ? afterFirst - 1 : op.endInAfter;
+                var i, j;
+
+                if (op.action === 'equal'){
+                    for (i = beforeFirst, j = afterFirst; i <= beforeLast; i++, j++){
+                        if (isDiffable(beforeUnits[i])){
+                            diffElement(beforeUnits[i], afterUnits[j]);
+                        } else {
+                            pushOperation(operations, 'equal', beforeUnits[i].start,
+                                    beforeUnits[i].end, afterUnits[j].start, afterUnits[j].end);
+                        }
+                    }
+                    return;
+                }
+
+                var hasElements = beforeUnits.slice(beforeFirst, beforeLast + 1)
+                        .concat(afterUnits.slice(afterFirst, afterLast + 1))
+                        .some(function(unit){
+                            return unit.tagName;
+                        });
+                if (!pairElements || !hasElements){
+                    pushOperation(operations, op.action,
+                            position(beforeUnits, beforeFirst, beforeEnd),
+                            beforeLast < beforeFirst ? null : beforeUnits[beforeLast].end,
+                            position(afterUnits, afterFirst, afterEnd),
+                            afterLast < afterFirst ? null : afterUnits[afterLast].end);
+                    return;
+                }
+
+                function isPair(beforeIndex, afterIndex){
+                    return beforeIndex <= beforeLast && afterIndex <= afterLast &&
+                            isDiffable(beforeUnits[beforeIndex]) &&
+                            isDiffable(afterUnits[afterIndex]) &&
+                            isSimilarElement(beforeUnits[beforeIndex], afterUnits[afterIndex]);
+                }
+
+                function remove(index){
+                    pushOperation(operations, 'delete', beforeUnits[index].start,
+                            beforeUnits[index].end, position(afterUnits, j, afterEnd), null);
+                }
+
+                function add(index){
+                    pushOperation(operations, 'insert', position(beforeUnits, i, beforeEnd),
+                            null, afterUnits[index].start, afterUnits[index].end);
+                }
+
+                i = beforeFirst;
+                j = afterFirst;
+                while (i <= beforeLast && j <= afterLast){
+                    if (isPair(i, j)){
+                        diffElement(beforeUnits[i++], afterUnits[j++]);
+                    } else if (isPair(i, j + 1)){
+                        add(j++);
+                    } else if (isPair(i + 1, j)){
+                        remove(i++);
+                    } else if (isDiffable(beforeUnits[i]) &&
+                            beforeUnits[i].tagName === afterUnits[j].tagName){
+                        diffElement(beforeUnits[i++], afterUnits[j++]);
+                    } else {
+                        remove(i++);
+                        add(j++);
+                    }
+                }
+                while (i <= beforeLast){
+                    remove(i++);
+                }
+                while (j <= afterLast){
+                    add(j++);
+                }
+            });
+        }
+
+        diffUnits(beforeUnits, afterUnits, beforeTokens.length, afterTokens.length, false);
+        return operations;
+    }
+
+    /**
+     * Gets the keys of the tokens inside an element without whitespace.
+     *
+     * @param {Array.<Token>} tokens The list of tokens.
+     * @param {number} start The index of the opening tag of the element.
+     * @param {number} end The index of the closing tag of the element.
+     *
+     * @return {Array.<string>} The keys of the tokens between the tags.
+     */
+    function getContentKeys(tokens, start, end){
+        return tokens.slice(start + 1, end).filter(function(token){
+            return !isWhitespace(token.string);
+        }).map(function(token){
+            return token.key;
+        });
+    }
+
+    /**
+     * Detects block elements whose tag changed while their content was kept, e.g. a paragraph
+     * that became a heading. The tags of such elements don't match, so they end up at the start
+     * of replace operations. Blocks are only paired if their content is similar (see
+     * isSimilar), so that a replaced block isn't reported as retagged. For each pair, the opening
+     * and closing tag of the after element get the keys of the before element and the tokens are
+     * diffed again, so the content is matched and diffed normally. The retagged tags are then
+     * split from the equal operations into operations with the action 'retag'.
+     *
+     * @param {Array.<Object>} operations The list of operations, see calculateOperations.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     *
+     * @return {Array.<Object>} The new list of operations.
+     */
+    function findRetaggedBlocks(operations, beforeTokens, afterTokens){
+        var retagged = [];
+        var keyedTokens = afterTokens.slice();
+        operations.forEach(function(op){
+            if (op.action !== 'replace'){
+                return;
+            }
+            var beforeTag = beforeTokens[op.startInBefore].string;
+            var afterTag = afterTokens[op.startInAfter].string;
+            if (!isBlockTag(beforeTag) || !isBlockTag(afterTag) ||
+                    getTagName(beforeTag) === getTagName(afterTag) ||
+                    getTagName(beforeTag).charAt(0) === '/' ||
+                    getTagName(afterTag).charAt(0) === '/'){
+                return;
+            }
+            var beforeClose = findClosingTag(beforeTokens, op.startInBefore,
+                    beforeTokens.length - 1);
+            var afterClose = findClosingTag(afterTokens, op.startInAfter, afterTokens.length - 1);
+            if (beforeClose === -1 || afterClose === -1 ||
+                    !isSimilar(getContentKeys(beforeTokens, op.startInBefore, beforeClose),
+                        getContentKeys(afterTokens, op.startInAfter, afterClose))){
+                return;
+            }
+            keyedTokens[op.startInAfter] = {
+                string: afterTag,
+                key: beforeTokens[op.startInBefore].key
+            };
+            keyedTokens[afterClose] = {
+                string: afterTokens[afterClose].string,
+                key: beforeTokens[beforeClose].key
+            };
+            retagged.push(op.startInAfter, afterClose);
+        });
+        if (!retagged.length){
+            return operations;
+        }
+
+        return diffTokens(beforeTokens, keyedTokens).reduce(function(result, op){
+            if (op.action !== 'equal'){
+                result.push(op);
+                return result;
+            }
+            var offset = op.startInAfter - op.startInBefore;
+            var start = op.startInBefore;
+            for (var index = op.startInBefore; index <= op.endInBefore; index++){
+                if (retagged.indexOf(index + offset) === -1){
+                    continue;
+                }
+                if (start < index){
+                    result.push({
+                        action: 'equal',
+                        startInBefore: start,
+                        endInBefore: index - 1,
+                        startInAfter: start + offset,
+                        endInAfter: index - 1 + offset
+                    });
+                }
+                result.push({
+                    action: 'retag',
+                    startInBefore: index,
+                    endInBefore: index,
+                    startInAfter: index + offset,
+                    endInAfter: index + offset,
+                    oldTagName: getTagName(beforeTokens[index].string).replace(/^\//, '')
+                });
+                start = index + 1;
+            }
+            if (start <= op.endInBefore){
+                result.push({
+                    action: 'equal',
+                    startInBefore: start,
+                    endInBefore: op.endInBefore,
+                    startInAfter: start + offset,
+                    endInAfter: op.endInAfter
+                });
+            }
+            return result;
+        }, []);
+    }
+
+    /**
+     * Extends the operations which change the identity of an element to the whole element. The
+     * opening tag of an element keyed by a key plugin (see getPluginKey) doesn't match if its
+     * key changed, while its closing tag and content still do. Rendering only the changed
+     * opening tags would leave the before element unclosed, so the operation is extended to the
+     * closing tags on both sides and takes over the operations up to them.
+     *
+     * @param {Array.<Object>} operations The list of operations, see calculateOperations.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {Array.<Object>} The new list of operations.
+     */
+    function extendIdentityChanges(operations, beforeTokens, afterTokens, options){
+        // Gets the index of the last closing tag of the keyed elements opened in a range, or
+        // the end of the range if all of them are closed within it.
+        function getElementsEnd(tokens, start, end){
+            var elementsEnd = end;
+            for (var i = start; i <= end; i++){
+                var tagName = getTagName(tokens[i].string);
+                if (!tagName || tagName.charAt(0) === '/' || isVoidTag(tokens[i].string) ||
+                        isAtomicTag(tokens[i].string, options) ||
+                        tokens[i].key === '<' + tagName + '>'){
+                    continue;
+                }
+                var close = findClosingTag(tokens, i, tokens.length - 1);
+                elementsEnd = Math.max(elementsEnd, close);
+            }
+            return elementsEnd;
+        }
+
+        var result = [];
+        for (var index = 0; index < operations.length; index++){
+            var op = operations[index];
+            if (op.action === 'equal'){
+                result.push(op);
+                continue;
+            }
+            var endInBefore = op.action === 'insert' ? op.startInBefore - 1 : op.endInBefore;
+            var endInAfter = op.action === 'delete' ? op.startInAfter - 1 : op.endInAfter;
+            var extended = false;
+            while (true){
+                var elementsEndInBefore = getElementsEnd(beforeTokens, op.startInBefore,
+                        endInBefore);
+                var elementsEndInAfter = getElementsEnd(afterTokens, op.startInAfter, endInAfter);
+                var next = operations[index + 1];
+                if (!next || (elementsEndInBefore === endInBefore &&
+                        elementsEndInAfter === endInAfter)){
+                    break;
+                }
+                extended = true;
+                var nextEndInBefore = next.action === 'insert' ? next.startInBefore - 1 :
+                        next.endInBefore;
+                var nextEndInAfter = next.action === 'delete' ? next.startInAfter - 1 :
+                        next.endInAfter;
+                var length = Math.max(elementsEndInBefore - endInBefore,
+                        elementsEndInAfter - endInAfter);
+                if (next.action === 'equal' && length <= nextEndInBefore - endInBefore - 1){
+                    // Only the start of an equal operation is taken over, the rest is kept.
+                    endInBefore += length;
+                    endInAfter += length;
+                    operations[index + 1] = {
+                        action: 'equal',
+                        startInBefore: endInBefore + 1,
+                        endInBefore: next.endInBefore,
+                        startInAfter: endInAfter + 1,
+                        endInAfter: next.endInAfter
+                    };
+                } else {
+                    endInBefore = nextEndInBefore;
+                    endInAfter = nextEndInAfter;
+                    index++;
+                }
+            }
+            if (!extended){
+                result.push(op);
+                continue;
+            }
+            var hasBefore = endInBefore >= op.startInBefore;
+            var hasAfter = endInAfter >= op.startInAfter;
+            result.push({
+                action: hasBefore ? (hasAfter ? 'replace' : 'delete') : 'insert',
+                startInBefore: op.startInBefore,
+                endInBefore: hasBefore ? endInBefore : null,
+                startInAfter: op.startInAfter,
+                endInAfter: hasAfter ? endInAfter : null
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Gets the complete block elements with text in a range of tokens, see isBlockTag. Nested
+     * blocks are part of the outermost block.
+     *
+     * @param {Array.<Token>} tokens The list of tokens.
+     * @param {number} start The index of the first token of the range.
+     * @param {number} end The index of the last token of the range.
+     *
+     * @return {Array.<Object>} The list of blocks with the keys start, end, tagName and keys (the
+     *      keys of the tokens inside the block without whitespace).
+     */
+    function getBlocks(tokens, start, end){
+        var blocks = [];
+        for (var i = start; i <= end; i++){
+            var tagName = getTagName(tokens[i].string);
+            if (!isBlockTag(tokens[i].string) || isVoidTag(tokens[i].string) ||
+                    tagName.charAt(0) === '/'){
+                continue;
+            }
+            var close = findClosingTag(tokens, i, end);
+            if (close === -1){
+                continue;
+            }
+            var content = tokens.slice(i + 1, close).filter(function(token){
+                return !isWhitespace(token.string);
+            });
+            if (content.some(function(token){
+                return !isTag(token.string);
+            })){
+                blocks.push({
+                    start: i,
+                    end: close,
+                    tagName: tagName,
+                    keys: content.map(function(token){
+                        return token.key;
+                    })
+                });
+                i = close;
+            }
+        }
+        return blocks;
+    }
+
+    /**
+     * Detects blocks which were moved, i.e. deleted in one place and inserted in another, see
+     * getBlocks. Deleted and inserted blocks with the same tag name are paired if they are
+     * identical or nearly identical (see minMoveSimilarity), and the operations containing them
+     * are split so that each paired block gets an operation with the action 'move'. The
+     * remaining parts of the split operations become deletes and inserts.
+     *
+     * @param {Array.<Object>} operations The list of operations, see calculateOperations.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     *
+     * @return {Array.<Object>} The new list of operations.
+     */
+    function findMovedBlocks(operations, beforeTokens, afterTokens){
+        var deleted = [];
+        var inserted = [];
+        operations.forEach(function(op, index){
+            if (op.action === 'delete' || op.action === 'replace'){
+                getBlocks(beforeTokens, op.startInBefore, op.endInBefore).forEach(function(block){
+                    block.operation = index;
+                    deleted.push(block);
+                });
+            }
+            if (op.action === 'insert' || op.action === 'replace'){
+                getBlocks(afterTokens, op.startInAfter, op.endInAfter).forEach(function(block){
+                    block.operation = index;
+                    inserted.push(block);
+                });
+            }
+        });
+
+        var moveId = 0;
+        deleted.forEach(function(block){
+            var pair = null;
+            var bestSimilarity = minMoveSimilarity;
+            inserted.forEach(function(candidate){
+                if (candidate.pair || candidate.tagName !== block.tagName){
+                    return;
+                }
+                var similarity = getSimilarity(block.keys, candidate.keys);
+                if (similarity >= bestSimilarity && !(pair && similarity === bestSimilarity)){
+                    pair = candidate;
+                    bestSimilarity = similarity;
+                }
+            });
+            if (pair){
+                block.pair = pair;
+                pair.pair = block;
+                block.moveId = pair.moveId = ++moveId;
+            }
+        });
+        if (!moveId){
+            return operations;
+        }
+
+        /**
+         * Calls a function for each paired block in a range and for each part of the range
+         * between them.
+         */
+        function splitRange(start, end, blocks, fn){
+            blocks.forEach(function(block){
+                if (start < block.start){
+                    fn(start, block.start - 1, null);
+                }
+                fn(block.start, block.end, block);
+                start = block.end + 1;
+            });
+            if (start <= end){
+                fn(start, end, null);
+            }
+        }
+
+        return operations.reduce(function(result, op, index){
+            function isMoved(block){
+                return block.operation === index && block.pair;
+            }
+            var movedFrom = deleted.filter(isMoved);
+            var movedTo = inserted.filter(isMoved);
+            if (!movedFrom.length && !movedTo.length){
+                result.push(op);
+                return result;
+            }
+            if (op.action !== 'insert'){
+                splitRange(op.startInBefore, op.endInBefore, movedFrom, function(start, end, block){
+                    var part = {
+                        action: block ? 'move' : 'delete',
+                        startInBefore: start,
+                        endInBefore: end,
+                        startInAfter: op.startInAfter,
+                        endInAfter: null
+                    };
+                    if (block){
+                        part.moved = 'from';
+                        part.moveId = block.moveId;
+                    }
+                    result.push(part);
+                });
+            }
+            if (op.action !== 'delete'){
+                var positionInBefore = op.action === 'insert' ? op.startInBefore :
+                        op.endInBefore + 1;
+                splitRange(op.startInAfter, op.endInAfter, movedTo, function(start, end, block){
+                    var part = {
+                        action: block ? 'move' : 'insert',
+                        startInBefore: positionInBefore,
+                        endInBefore: null,
+                        startInAfter: start,
+                        endInAfter: end
+                    };
+                    if (block){
+                        part.moved = 'to';
+                        part.moveId = block.moveId;
+                        part.sourceStartInBefore = block.pair.start;
+                        part.sourceEndInBefore = block.pair.end;
+                    }
+                    result.push(part);
+                });
+            }
+            return result;
+        }, []);
+    }
+
+    /**
+     * Splits equal operations around the elements whose attributes differ between the before
+     * and after tokens. Each of these elements gets an operation with the action 'attributes'.
+     *
+     * @param {Array.<Object>} operations The list of operations, see calculateOperations.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     *
+     * @return {Array.<Object>} The new list of operations.
+     */
+    function splitAttributeChanges(operations, beforeTokens, afterTokens){
+        return operations.reduce(function(result, op){
+            if (op.action !== 'equal'){
+                result.push(op);
+                return result;
+            }
+            var offset = op.startInAfter - op.startInBefore;
+            var start = op.startInBefore;
+            for (var index = op.startInBefore; index <= op.endInBefore; index++){
+                var changedAttributes = getChangedAttributes(
+                        beforeTokens[index].string, afterTokens[index + offset].string);
+                if (!changedAttributes.length){
+                    continue;
+                }
+                if (start < index){
+                    result.push({
+                        action: 'equal',
+                        startInBefore: start,
+                        endInBefore: index - 1,
+                        startInAfter: start + offset,
+                        endInAfter: index - 1 + offset
+                    });
+                }
+                result.push({
+                    action: 'attributes',
+                    startInBefore: index,
+                    endInBefore: index,
+                    startInAfter: index + offset,
+                    endInAfter: index + offset,
+                    changedAttributes: changedAttributes
+                });
+                start = index + 1;
+            }
+            if (start <= op.endInBefore){
+                result.push({
+                    action: 'equal',
+                    startInBefore: start,
+                    endInBefore: op.endInBefore,
+                    startInAfter: start + offset,
+                    endInAfter: op.endInAfter
+                });
+            }
+            return result;
+        }, []);
+    }
+
+    /**
+     * Names of the inline elements which only change the formatting of their content.
+     */
+    var formattingTagNames = [
+        'a', 'abbr', 'b', 'cite', 'code', 'em', 'i', 'mark', 'q', 's', 'small', 'span', 'strike',
+        'strong', 'sub', 'sup', 'u'
+    ];
+
+    /**
+     * Checks if a token is the opening or closing tag of a formatting element.
+     *
+     * @param {string} token The token to check.
+     *
+     * @return {boolean} True if the token is a formatting tag, false otherwise.
+     */
+    function isFormattingTag(token){
+        var tagName = getTagName(token);
+        return !!tagName && formattingTagNames.indexOf(tagName.replace(/^\//, '')) !== -1;
+    }
+
+    /**
+     * Gets the formatting elements each token of a list is contained in.
+     *
+     * @param {Array.<Token>} tokens The list of tokens.
+     *
+     * @return {Array.<Array.<string>>} The sorted names of the formatting elements for each token.
+     */
+    function getFormattingTagNames(tokens){
+        var open = [];
+        return tokens.map(function(token){
+            var formats = open.slice().sort();
+            var tagName = getTagName(token.string);
+            if (formattingTagNames.indexOf(tagName) !== -1){
+                open.push(tagName);
+            } else if (tagName && tagName.charAt(0) === '/' &&
+                    open.lastIndexOf(tagName.substring(1)) !== -1){
+                open.splice(open.lastIndexOf(tagName.substring(1)), 1);
+            }
+            return formats;
+        });
+    }
+
+    /**
+     * Compares the formatting elements of a token before and after the changes.
+     *
+     * @param {Array.<string>} beforeFormats The formatting elements before the changes.
+     * @param {Array.<string>} afterFormats The formatting elements after the changes.
+     *
+     * @return {Object|null} The added and removed formatting elements, or null if they are the
+     *      same.
+     */
+    function getFormatChange(beforeFormats, afterFormats){
+        var removed = beforeFormats.slice();
+        var added = afterFormats.filter(function(tagName){
+            var index = removed.indexOf(tagName);
+            if (index !== -1){
+                removed.splice(index, 1);
+                return false;
+            }
+            return true;
+        });
+        return added.length || removed.length ? {added: added, removed: removed} : null;
+    }
+
+    /**
+     * Splits equal operations around the text whose formatting elements (e.g. <strong> or <a>)
+     * differ between the before and after tokens. Each run of text with the same change gets an
+     * operation with the action 'format'. Whitespace only continues such a run, tags end it.
+     *
+     * @param {Array.<Object>} operations The list of operations, see calculateOperations.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     *
+     * @return {Array.<Object>} The new list of operations.
+     */
+    function splitFormatChanges(operations, beforeTokens, afterTokens){
+        var beforeFormats = getFormattingTagNames(beforeTokens);
+        var afterFormats = getFormattingTagNames(afterTokens);
+
+        function isSameChange(op, change){
+            return op.action === 'format' && op.addedFormats.join() === change.added.join() &&
+                    op.removedFormats.join() === change.removed.join();
+        }
+
+        return operations.reduce(function(result, op){
+            if (op.action !== 'equal'){
+                result.push(op);
+                return result;
+            }
+            var offset = op.startInAfter - op.startInBefore;
+            var run = null;
+            for (var index = op.startInBefore; index <= op.endInBefore; index++){
+                var token = beforeTokens[index].string;
+                var change = !isTag(token) && !isPassThroughToken(token) &&
+                        getFormatChange(beforeFormats[index], afterFormats[index + offset]);
+                if (change && isWhitespace(token) && !(run && isSameChange(run, change))){
+                    change = null;
+                }
+                if (run && (change ? isSameChange(run, change) : run.action === 'equal')){
+                    run.endInBefore = index;
+                    run.endInAfter = index + offset;
+                    continue;
+                }
+                run = {
+                    action: change ? 'format' : 'equal',
+                    startInBefore: index,
+                    endInBefore: index,
+                    startInAfter: index + offset,
+                    endInAfter: index + offset
+                };
+                if (change){
+                    run.addedFormats = change.added;
+                    run.removedFormats = change.removed;
+                }
+                result.push(run);
+            }
+            return result;
+        }, []);
+    }
+
+    /**
+     * Checks if an operation only adds or removes formatting tags while formatting is compared.
+     * The text of these tags is covered by format operations, see splitFormatChanges.
+     *
+     * @param {Object} op The operation to check, see calculateOperations.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {boolean} True if the operation only contains formatting tags, false otherwise.
+     */
+    function isFormattingTagOperation(op, beforeTokens, afterTokens, options){
+        if (!options.compareFormatting ||
+                ['insert', 'delete', 'replace'].indexOf(op.action) === -1){
+            return false;
+        }
+        var tokens = (op.endInBefore === null ? [] :
+                beforeTokens.slice(op.startInBefore, op.endInBefore + 1)).concat(
+                op.endInAfter === null ? [] :
+                afterTokens.slice(op.startInAfter, op.endInAfter + 1)).filter(function(token){
+                    return !isPassThroughToken(token.string);
+                });
+        return !!tokens.length && tokens.every(function(token){
+            return isFormattingTag(token.string);
+        });
+    }
+
+    /**
+     * Gets the index identifying the rendering of an operation, which is the index of the
+     * operation itself unless it adds or removes the opening tags of formatting elements (see
+     * isFormattingTagOperation). These tags get the index of the format operation of the text
+     * following them, so that they are accepted or rejected with the formatting change.
+     *
+     * @param {Array.<Object>} operations The list of operations, see calculateOperations.
+     * @param {number} index The index of the operation.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {number} The index of the rendering of the operation.
+     */
+    function getRenderIndex(operations, index, beforeTokens, afterTokens, options){
+        var next = operations[index + 1];
+        return next && next.action === 'format' &&
+                isFormattingTagOperation(operations[index], beforeTokens, afterTokens, options) ?
+                index + 1 : index;
+    }
+
+    /**
+     * Renders added or removed formatting tags. Their opening tags are marked with a
+     * data-diff-format-tag attribute, so that resolve can restore the formatting. Removed tags
+     * are kept for the same reason.
+     *
+     * @param {string} change Either 'added' or 'removed'.
+     * @param {Array.<string>} tokens The formatting tags.
+     * @param {number} opIndex The index of the operation, see getRenderIndex.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {string} The rendering of the tags.
+     */
+    function renderFormattingTags(change, tokens, opIndex, options){
+        var dataPrefix = options.dataPrefix ? options.dataPrefix + '-' : '';
+        return tokens.map(function(token){
+            return addAttributes(token, ' data-diff-format-tag="' + change + '" data-' +
+                    dataPrefix + 'operation-index="' + opIndex + '"');
+        }).join('');
+    }
+
+    /**
+     * A TokenWrapper provides a utility for grouping segments of tokens based on whether they're
+     * wrappable or not. A tag is considered wrappable if it is closed within the given set of
+     * tokens. For example, given the following tokens:
+     *
+     *      ['</b>', 'this', ' ', 'is', ' ', 'a', ' ', '<b>', 'test', '</b>', '!']
+     *
+     * The first '</b>' is not considered wrappable since the tag is not fully contained within the
+     * array of tokens. The '<b>', 'test', and '</b>' would be a part of the same wrappable segment
+     * since the entire bold tag is within the set of tokens.
+     *
+     * TokenWrapper has a method 'combine' which allows walking over the segments to wrap them in
+     * tags.
+     *
+     * Tokens whose parent element doesn't allow them to be wrapped (e.g. whitespace directly
+     * inside a list or the text of an option) are never wrappable, see canWrapContent. If that
+     * parent element isn't part of the tokens either, the content is noted as stranded, since
+     * it can't be marked at all.
+     *
+     * @param {Array.<string>} tokens The list of tokens to group.
+     * @param {Options} options The options of the current diff.
+     * @param {Array.<string>} ancestors (Optional) The names of the elements the tokens are
+     *      contained in, see AncestorTracker.
+     */
+    function TokenWrapper(tokens, options, ancestors){
+        this.tokens = tokens;
+        this.notes = tokens.reduce(function(data, token, index){
+            var lastEntry = data.tagStack[data.tagStack.length - 1];
+            var canWrap = canWrapContent(lastEntry ? lastEntry.tag : null);
+            data.notes.push({
+                isWrappable: isWrappable(token, options) && canWrap,
+                isStranded: !canWrap && lastEntry.position === -1 &&
+                        isWrappable(token, options) && !isWhitespace(token),
+                insertedTag: false
+            });
+
+            var tag = !isVoidTag(token) && getTagName(token);
+            if (tag){
+                if (lastEntry && '/' + lastEntry.tag === tag){
+                    if (lastEntry.position !== -1){
+                        data.notes[lastEntry.position].insertedTag = true;
+                    }
+                    data.tagStack.pop();
+                } else {
+                    data.tagStack.push({
+                        tag: tag,
+                        position: index
+                    });
+                }
+            }
+            return data;
+        }, {notes: [], tagStack: (ancestors || []).map(function(tag){
+            return {tag: tag, position: -1};
+        })}).notes;
+    }
+
+    /**
+     * Wraps the contained tokens in tags based on output given by a map function. Each segment of
+     * tokens will be visited. A segment is a continuous run of either all wrappable
+     * tokens or unwrappable tokens. The given map function will be called with each segment of
+     * tokens and the resulting strings will be combined to form the wrapped HTML.
+     *
+     * @param {function(boolean, Array.<string>)} mapFn A function called with an array of tokens
+     *      and whether those tokens are wrappable or not. The result should be a string.
+     */
+    TokenWrapper.prototype.combine = function(mapFn, tagFn){
+        var notes = this.notes;
+        var tokens = this.tokens.slice();
+        var segments = tokens.reduce(function(data, token, index){
+            if (notes[index].insertedTag){
+                tokens[index] = tagFn(tokens[index]);
+            }
+            if (data.status === null){
+                data.status = notes[index].isWrappable;
+            }
+            var status = notes[index].isWrappable;
+            if (status !== data.status){
+                data.list.push({
+                    isWrappable: data.status,
+                    tokens: tokens.slice(data.lastIndex, index)
+                });
+                data.lastIndex = index;
+                data.status = status;
+            }
+            if (index === tokens.length - 1){
+                data.list.push({
+                    isWrappable: data.status,
+                    tokens: tokens.slice(data.lastIndex, index + 1)
+                });
+            }
+            return data;
+        }, {list: [], status: null, lastIndex: 0}).list;
+
+        return segments.map(mapFn).join('');
+    };
+
+    /**
+     * Wraps and concatenates a list of tokens with a tag. Does not wrap tag tokens,
+     * unless they are wrappable (i.e. void and atomic tags).
+     *
+     * @param {sting} tag The tag name of the wrapper tags.
+     * @param {Array.<string>} content The list of tokens to wrap.
+     * @param {number} opIndex The index of the operation the content belongs to.
+     * @param {Options} options The options of the current diff.
+     * @param {Array.<string>} ancestors (Optional) The names of the elements the content is
+     *      contained in, see AncestorTracker.
+     */
+    function wrap(tag, content, opIndex, options, ancestors){
+        var dataPrefix = options.dataPrefix ? options.dataPrefix + '-' : '';
+        return wrapWithAttributes(tag, content,
+                ' data-' + dataPrefix + 'operation-index="' + opIndex + '"', options, ancestors);
+    }
+
+    /**
+     * Gets the render hook of the renderer option for an action, see wrapOperation.
+     *
+     * @param {Options} options The options of the current diff.
+     * @param {string} action One of {'insert', 'delete', 'replace', 'equal'}.
+     *
+     * @return {function(string, Object): string|null} The render hook, or null if the action
+     *      is rendered by default.
+     */
+    function getRenderHook(options, action){
+        var renderer = options.renderer;
+        if (typeof renderer === 'function'){
+            return renderer;
+        }
+        return renderer && typeof renderer[action] === 'function' ? renderer[action] : null;
+    }
+
+    /**
+     * Wraps the inserted or deleted tokens of an operation like wrap. If the renderer option
+     * has a render hook for the operation, each wrappable segment of the tokens is rendered by
+     * the hook instead, the splitting into wrappable and unwrappable segments is the same.
+     * Hooks returning null or undefined fall back to the <ins> and <del> tags.
+     *
+     * @param {string} tag Either 'ins' or 'del'.
+     * @param {Array.<string>} content The list of tokens to wrap.
+     * @param {Object} op The operation the tokens belong to.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     * @param {number} opIndex The index of the operation.
+     * @param {Options} options The options of the current diff.
+     * @param {Array.<string>} ancestors The names of the elements the content is contained in,
+     *      see AncestorTracker.
+     *
+     * @return {string} The rendering of the tokens.
+     */
+    function wrapOperation(tag, content, op, beforeTokens, afterTokens, opIndex, options,
+            ancestors){
+        var kind = tag === 'ins' ? 'insert' : 'delete';
+        var hook = (op.action === 'replace' && getRenderHook(options, 'replace')) ||
+                getRenderHook(options, kind);
+        if (!hook){
+            return wrap(tag, content, opIndex, options, ancestors);
+        }
+        var context = createRenderContext(kind, op, beforeTokens, afterTokens, opIndex, options);
+        var dataPrefix = options.dataPrefix ? options.dataPrefix + '-' : '';
+        return wrapWithAttributes(tag, content,
+                ' data-' + dataPrefix + 'operation-index="' + opIndex + '"', options, ancestors,
+                function(val, attrs){
+                    var rendering = hook(val, context);
+                    return rendering === null || rendering === undefined ?
+                            '<' + tag + attrs + '>' + val + '</' + tag + '>' : rendering;
+                });
+    }
+
+    /**
+     * Renders the content of an equal operation with the equal hook of the renderer option, if
+     * there is one, see wrapOperation.
+     *
+     * @param {string} val The HTML content of the operation.
+     * @param {Object} op The equal operation.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     * @param {number} opIndex The index of the operation.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {string} The rendering of the content.
+     */
+    function renderEqual(val, op, beforeTokens, afterTokens, opIndex, options){
+        var hook = getRenderHook(options, 'equal');
+        var rendering = hook && hook(val, createRenderContext('equal', op, beforeTokens,
+                afterTokens, opIndex, options));
+        return rendering === null || rendering === undefined ? val : rendering;
+    }
+
+    /**
+     * Creates the context passed to the render hooks of the renderer option.
+     *
+     * @param {string} kind One of {'insert', 'delete', 'equal'}, how the content is rendered.
+     * @param {Object} op The operation that is rendered.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     * @param {number} opIndex The index of the operation.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {Object} The context with the keys kind, operation, operationIndex, beforeTokens
+     *      and afterTokens (the strings of the tokens of the operation) and options.
+     */
+    function createRenderContext(kind, op, beforeTokens, afterTokens, opIndex, options){
+        function strings(tokens, start, end){
+            return end === null ? [] : tokens.slice(start, end + 1).map(function(token){
+                return token.string;
+            });
+        }
+        return {
+            kind: kind,
+            operation: op,
+            operationIndex: opIndex,
+            beforeTokens: strings(beforeTokens, op.startInBefore, op.endInBefore),
+            afterTokens: strings(afterTokens, op.startInAfter, op.endInAfter),
+            options: options
+        };
+    }
+
+    /**
+     * Wraps and concatenates a list of tokens with a tag like wrap, but with the given data
+     * attributes instead of the operation index.
+     *
+     * @param {sting} tag The tag name of the wrapper tags.
+     * @param {Array.<string>} content The list of tokens to wrap.
+     * @param {string} dataAttrs The data attributes of the wrapper tags and of the complete
+     *      elements of the content, including a leading space.
+     * @param {Options} options The options of the current diff.
+     * @param {Array.<string>} ancestors (Optional) The names of the elements the content is
+     *      contained in, see AncestorTracker.
+     * @param {function(string, string): string} render (Optional) Renders a wrappable segment
+     *      of the content, called with the HTML content of the segment and the attributes of
+     *      the wrapper tags. If not given, the segment is wrapped with the tag.
+     */
+    function wrapWithAttributes(tag, content, dataAttrs, options, ancestors, render){
+        var wrapper = new TokenWrapper(content, options, ancestors);
+        // Deleted content which can't be marked where it is (e.g. text directly inside a list)
+        // is dropped, so it isn't rendered like unchanged content.
+        if (tag === 'del'){
+            wrapper.tokens = wrapper.tokens.filter(function(token, index){
+                return !wrapper.notes[index].isStranded;
+            });
+            wrapper.notes = wrapper.notes.filter(function(note){
+                return !note.isStranded;
+            });
+        }
+        var attrs = dataAttrs;
+        if (options.className){
+            attrs += ' class="' + options.className + '"';
+        }
+
+        var nodeAttrs = ' data-diff-node="' + tag + '"' + dataAttrs;
+        var texts = options.accessibility;
+        var name = tag === 'ins' ? 'insertion' : 'deletion';
+
+        return wrapper.combine(function(segment){
+            if (segment.isWrappable){
+                var val = segment.tokens.join('');
+                if (val.trim()){
+                    if (render){
+                        return render(val, attrs);
+                    }
+                    if (texts){
+                        val = renderHiddenText(texts[name + 'Start'], dataAttrs, texts) + val +
+                                renderHiddenText(texts[name + 'End'], dataAttrs, texts);
+                    }
+                    return '<' + tag + attrs + '>' + val + '</' + tag + '>';
+                }
+                // Each document of a split rendering keeps all of its whitespace.
+                return options.mode === 'split' ? val : '';
+            }
+            return segment.tokens.join('');
+        }, function(openingTag){
+            var marked = openingTag.replace(/>\s*$/, nodeAttrs + '$&');
+            // Elements whose content can't be wrapped (e.g. table rows and options) can't hold
+            // the hidden text either, so they aren't described.
+            if (texts && canWrapContent(getTagName(openingTag))){
+                marked += renderHiddenText(texts[tag === 'ins' ? 'inserted' : 'deleted'],
+                        dataAttrs, texts);
+            }
+            return marked;
+        });
+    }
+
+    /**
+     * Escapes a text for the value of an attribute.
+     *
+     * @param {string} text The text to escape.
+     *
+     * @return {string} The escaped text.
+     */
+    function escapeAttribute(text){
+        return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Escapes a text for the content of an element.
+     *
+     * @param {string} text The text to escape.
+     *
+     * @return {string} The escaped text.
+     */
+    function escapeText(text){
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    }
+
+    /**
+     * Renders a text which is only read by screen readers, see the accessibility option. The
+     * text is hidden with the configured class name, or with an inline style otherwise.
+     *
+     * @param {string} text The text to render.
+     * @param {string} dataAttrs The data attributes of the change the text belongs to, including
+     *      a leading space.
+     * @param {Object} texts The texts of the accessibility option.
+     *
+     * @return {string} The element with the hidden text, or an empty string for empty texts.
+     */
+    function renderHiddenText(text, dataAttrs, texts){
+        if (!text){
+            return '';
+        }
+        var hidden = texts.hiddenClassName ?
+                ' class="' + escapeAttribute(texts.hiddenClassName) + '"' :
+                ' style="position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+                'overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0"';
+        return '<span data-diff-hidden' + dataAttrs + hidden + '> ' + escapeText(text) +
+                ' </span>';
+    }
+
+    /**
+     * OPS.equal/insert/delete/replace are functions that render an operation into
+     * HTML content.
+     *
+     * @param {Object} op The operation that applies to a prticular list of tokens. Has the
+     *      following keys:
+     *      - {string} action One of ['replace', 'insert', 'delete', 'equal'].
+     *      - {number} startInBefore The beginning of the range in the list of before tokens.
+     *      - {number} endInBefore The end of the range in the list of before tokens.
+     *      - {number} startInAfter The beginning of the range in the list of after tokens.
+     *      - {number} endInAfter The end of the range in the list of after tokens.
+     * @param {Array.<string>} beforeTokens The before list of tokens.
+     * @param {Array.<string>} afterTokens The after list of tokens.
+     * @param {number} opIndex The index into the list of operations that identifies the change to
+     *      be rendered. This is used to mark wrapped HTML as part of the same operation.
+     * @param {Options} options The options of the current diff.
+     * @param {Object} ancestors The ancestor trackers of both lists of tokens, see
+     *      createAncestorTrackers.
+     *
+     * @return {string} The rendering of that operation.
      */
     var OPS = {
-        'equal': function(op, beforeTokens, afterTokens, opIndex, dataPrefix, className){
+        'equal': function(op, beforeTokens, afterTokens, opIndex, options){
             var tokens = afterTokens.slice(op.startInAfter, op.endInAfter + 1);
-            return tokens.reduce(function(prev, curr){
+            var val = tokens.reduce(function(prev, curr){
                 return prev + curr.string;
             }, '');
+            return renderEqual(val, op, beforeTokens, afterTokens, opIndex, options);
         },
-        'insert': function(op, beforeTokens, afterTokens, opIndex, dataPrefix, className){
+        'insert': function(op, beforeTokens, afterTokens, opIndex, options, ancestors){
             var tokens = afterTokens.slice(op.startInAfter, op.endInAfter + 1);
             var val = tokens.map(function(token){
                 return token.string;
             });
-            return wrap('ins', val, opIndex, dataPrefix, className);
-        },
-        'delete': function(op, beforeTokens, afterTokens, opIndex, dataPrefix, className){
-            var tokens = beforeTokens.slice(op.startInBefore, op.endInBefore + 1);
-            var val = tokens.map(function(token){
+            if (isFormattingTagOperation(op, beforeTokens, afterTokens, options)){
+                return renderFormattingTags('added', val, opIndex, options);
+            }
+            return wrapOperation('ins', val, op, beforeTokens, afterTokens, opIndex, options,
+                    ancestors.after.get(op.startInAfter));
+        },
+        'delete': function(op, beforeTokens, afterTokens, opIndex, options, ancestors){
+            // Deleted pass through tokens are dropped, so only those of the after document remain.
+            var tokens = beforeTokens.slice(op.startInBefore, op.endInBefore + 1).filter(
+                    function(token){
+                        return !isPassThroughToken(token.string);
+                    });
+            var val = tokens.map(function(token){
+                return token.string;
+            });
+            if (isFormattingTagOperation(op, beforeTokens, afterTokens, options)){
+                return renderFormattingTags('removed', val, opIndex, options);
+            }
+            return wrapOperation('del', val, op, beforeTokens, afterTokens, opIndex, options,
+                    ancestors.before.get(op.startInBefore));
+        },
+        'replace': function(op, beforeTokens, afterTokens, opIndex, options, ancestors){
+            if (options.granularity === 'char'){
+                var rendering = renderCharacterDiff(op, beforeTokens, afterTokens, opIndex,
+                        options);
+                if (rendering !== null){
+                    return rendering;
+                }
+            }
+            var deleted = OPS['delete'].apply(null, arguments);
+            var inserted = OPS['insert'].apply(null, arguments);
+            // Added formatting elements are closed before the removed ones, so that they stay
+            // nested in the removed ones.
+            if (isFormattingTagOperation(op, beforeTokens, afterTokens, options)){
+                return getTagName(beforeTokens[op.startInBefore].string).charAt(0) === '/' ?
+                        inserted + deleted : deleted + inserted;
+            }
+            // Replacements are marked with a visible cue, so they can be told apart from
+            // separate deletions and insertions without colours.
+            var texts = options.accessibility;
+            var parents = ancestors.after.get(op.startInAfter);
+            if (texts && texts.replacementCue && deleted && inserted &&
+                    canWrapContent(parents[parents.length - 1] || null)){
+                var dataPrefix = options.dataPrefix ? options.dataPrefix + '-' : '';
+                deleted += '<span data-diff-cue="replace" data-' + dataPrefix +
+                        'operation-index="' + opIndex + '" aria-hidden="true">' +
+                        escapeText(texts.replacementCue) + '</span>';
+            }
+            return deleted + inserted;
+        },
+        'attributes': function(op, beforeTokens, afterTokens, opIndex, options){
+            var beforeAttributes = getAttributes(beforeTokens[op.startInBefore].string);
+            var dataPrefix = options.dataPrefix ? options.dataPrefix + '-' : '';
+            var attrs = ' data-diff-attrs-changed="' + op.changedAttributes.join(' ') + '"';
+            op.changedAttributes.forEach(function(name){
+                if (name in beforeAttributes){
+                    attrs += ' data-diff-old-' + name.replace(/[^a-z0-9_.\-]/g, '-') + '="' +
+                            beforeAttributes[name].replace(/"/g, '&quot;') + '"';
+                }
+            });
+            attrs += ' data-' + dataPrefix + 'operation-index="' + opIndex + '"';
+            return addAttributes(afterTokens[op.startInAfter].string, attrs);
+        },
+        'move': function(op, beforeTokens, afterTokens, opIndex, options, ancestors){
+            var dataPrefix = options.dataPrefix ? options.dataPrefix + '-' : '';
+            var attrs = ' data-diff-moved="' + op.moved + '" data-diff-move-id="' + op.moveId +
+                    '" data-' + dataPrefix + 'operation-index="' + opIndex + '"';
+            var content;
+            if (op.moved === 'from'){
+                content = beforeTokens.slice(op.startInBefore + 1, op.endInBefore).filter(
+                        function(token){
+                            return !isPassThroughToken(token.string);
+                        }).map(function(token){
+                            return token.string;
+                        });
+                return addAttributes(beforeTokens[op.startInBefore].string, attrs) +
+                        wrap('del', content, opIndex, options,
+                                ancestors.before.get(op.startInBefore + 1)) +
+                        beforeTokens[op.endInBefore].string;
+            }
+
+            // The moved block is diffed against its source, so that changes made while moving
+            // it are marked as well.
+            var source = beforeTokens.slice(op.sourceStartInBefore + 1, op.sourceEndInBefore);
+            var target = afterTokens.slice(op.startInAfter + 1, op.endInAfter);
+            var innerAncestors = createAncestorTrackers(source, target);
+            content = calculateOperations(source, target, options).map(function(innerOp){
+                return OPS[innerOp.action](innerOp, source, target, opIndex, options,
+                        innerAncestors);
+            }).join('');
+            return addAttributes(afterTokens[op.startInAfter].string, attrs) + content +
+                    afterTokens[op.endInAfter].string;
+        },
+        'retag': function(op, beforeTokens, afterTokens, opIndex, options){
+            var token = afterTokens[op.startInAfter].string;
+            if (getTagName(token).charAt(0) === '/'){
+                return token;
+            }
+            var dataPrefix = options.dataPrefix ? options.dataPrefix + '-' : '';
+            return addAttributes(token, ' data-diff-retagged-from="' + op.oldTagName + '" data-' +
+                    dataPrefix + 'operation-index="' + opIndex + '"');
+        },
+        'format': function(op, beforeTokens, afterTokens, opIndex, options, ancestors){
+            var val = joinTokens(afterTokens, op.startInAfter, op.endInAfter);
+            var parents = ancestors.after.get(op.startInAfter);
+            if (!canWrapContent(parents[parents.length - 1] || null)){
+                return val;
+            }
+            var formats = op.addedFormats.map(function(tagName){
+                return 'added:' + tagName;
+            }).concat(op.removedFormats.map(function(tagName){
+                return 'removed:' + tagName;
+            }));
+            var dataPrefix = options.dataPrefix ? options.dataPrefix + '-' : '';
+            return '<span data-diff-format="' + formats.join(' ') + '" data-' + dataPrefix +
+                    'operation-index="' + opIndex + '">' + val + '</span>';
+        }
+    };
+
+    /**
+     * Splits the tokens of a replace operation into characters. Character references and
+     * surrogate pairs are kept together.
+     *
+     * @param {Array.<Token>} tokens The tokens of one side of the operation.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {Array.<Token>|null} The list of character tokens, or null if the tokens contain a
+     *      tag, a pass through token or too many words to be diffed at character level.
+     */
+    function tokensToCharacters(tokens, options){
+        var words = 0;
+        for (var i = 0; i < tokens.length; i++){
+            if (isTag(tokens[i].string) || isPassThroughToken(tokens[i].string) ||
+                    (!isWhitespace(tokens[i].string) &&
+                    ++words > maxCharacterDiffWords)){
+                return null;
+            }
+        }
+        var text = tokens.map(function(token){
+            return token.string;
+        }).join('');
+        return text.match(/&#?\w+;|[\ud800-\udbff][\udc00-\udfff]|[\s\S]/g).map(function(char){
+            return createToken(char, options);
+        });
+    }
+
+    /**
+     * Diffs a replace operation whose both sides are short runs of text at character level.
+     *
+     * @param {Object} op The replace operation, see OPS.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {Object|null} The character tokens of both sides as beforeChars and afterChars
+     *      and the operations between them as operations, or null if the operation can't be
+     *      diffed at character level.
+     */
+    function calculateCharacterOperations(op, beforeTokens, afterTokens, options){
+        var beforeChars = tokensToCharacters(
+                beforeTokens.slice(op.startInBefore, op.endInBefore + 1), options);
+        var afterChars = tokensToCharacters(afterTokens.slice(op.startInAfter, op.endInAfter + 1),
+                options);
+        if (!beforeChars || !afterChars){
+            return null;
+        }
+        return {
+            beforeChars: beforeChars,
+            afterChars: afterChars,
+            operations: calculateOperations(beforeChars, afterChars)
+        };
+    }
+
+    /**
+     * Renders a replace operation whose both sides are short runs of text with the differences
+     * at character level. All wrapped characters are marked with the index of the replace
+     * operation.
+     *
+     * @param {Object} op The replace operation, see OPS.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     * @param {number} opIndex The index of the replace operation.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {string|null} The rendering of the operation, or null if the operation can't be
+     *      diffed at character level.
+     */
+    function renderCharacterDiff(op, beforeTokens, afterTokens, opIndex, options){
+        var chars = calculateCharacterOperations(op, beforeTokens, afterTokens, options);
+        if (!chars){
+            return null;
+        }
+        var beforeChars = chars.beforeChars;
+        var afterChars = chars.afterChars;
+        var ancestors = createAncestorTrackers(beforeChars, afterChars);
+        return chars.operations.map(function(charOp){
+            if (charOp.action === 'replace'){
+                return OPS['delete'](charOp, beforeChars, afterChars, opIndex, options,
+                        ancestors) +
+                        OPS['insert'](charOp, beforeChars, afterChars, opIndex, options,
+                                ancestors);
+            }
+            return OPS[charOp.action](charOp, beforeChars, afterChars, opIndex, options,
+                    ancestors);
+        }).join('');
+    }
+
+    /**
+     * Renders a replace operation like renderCharacterDiff, but into the two documents of a
+     * split rendering, see renderSplitOperations. The before document only marks the deleted
+     * characters and the after document only the inserted ones.
+     *
+     * @param {Object} op The replace operation, see OPS.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     * @param {number} opIndex The index of the replace operation.
+     * @param {Options} options The options of the current diff.
+     *
+     * @return {Object|null} The renderings of both documents with the keys before and after,
+     *      or null if the operation can't be diffed at character level.
+     */
+    function renderSplitCharacterDiff(op, beforeTokens, afterTokens, opIndex, options){
+        var chars = calculateCharacterOperations(op, beforeTokens, afterTokens, options);
+        if (!chars){
+            return null;
+        }
+        var beforeChars = chars.beforeChars;
+        var afterChars = chars.afterChars;
+        var ancestors = createAncestorTrackers(beforeChars, afterChars);
+        return chars.operations.reduce(function(rendering, charOp){
+            if (charOp.action === 'equal'){
+                rendering.before += joinTokens(beforeChars, charOp.startInBefore,
+                        charOp.endInBefore);
+                rendering.after += joinTokens(afterChars, charOp.startInAfter,
+                        charOp.endInAfter);
+                return rendering;
+            }
+            if (charOp.action !== 'insert'){
+                rendering.before += OPS['delete'](charOp, beforeChars, afterChars, opIndex,
+                        options, ancestors);
+            }
+            if (charOp.action !== 'delete'){
+                rendering.after += OPS['insert'](charOp, beforeChars, afterChars, opIndex,
+                        options, ancestors);
+            }
+            return rendering;
+        }, {before: '', after: ''});
+    }
+
+    /**
+     * Renders an empty placeholder element marking the place of content which only exists in
+     * the other document of a split rendering. No placeholder is rendered where the parent
+     * element doesn't allow it, e.g. between table rows, or if the content isn't marked in the
+     * other document, e.g. because it consists of whitespace only.
+     *
+     * @param {string} kind Either 'ins' or 'del', how the content is marked in the other
+     *      document.
+     * @param {AncestorTracker} tracker The ancestor tracker of the list of tokens of this
+     *      document.
+     * @param {number} index The index of the token before which the placeholder is rendered.
+     * @param {string} attrs The data attributes of the placeholder, including a leading space.
+     * @param {string} other The rendering of the content in the other document.
+     *
+     * @return {string} The placeholder element, or an empty string.
+     */
+    function renderPlaceholder(kind, tracker, index, attrs, other){
+        var ancestors = tracker.get(index);
+        if (!canWrapContent(ancestors[ancestors.length - 1] || null) ||
+                other.indexOf(attrs) === -1){
+            return '';
+        }
+        return '<span data-diff-placeholder="' + kind + '"' + attrs + '></span>';
+    }
+
+    /**
+     * Renders a list of operations into two documents: the before document with only the
+     * deletions marked and the after document with only the insertions marked. Each change has
+     * the same operation index in both documents. Where only the other document has content,
+     * an empty <span> with a `data-diff-placeholder` attribute and the operation index marks
+     * its place, so the two documents can be shown side by side and aligned.
+     *
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     * @param {Array.<Object>} operations The list of operations, see calculateOperations.
+     * @param {Options} options The options of the current diff.
+     * @param {number} opIndex (Optional) The operation index of all the operations, used for
+     *      the content of moved blocks.
+     *
+     * @return {Object} The renderings of both documents with the keys before and after.
+     */
+    function renderSplitOperations(beforeTokens, afterTokens, operations, options, opIndex){
+        var dataPrefix = options.dataPrefix ? options.dataPrefix + '-' : '';
+        var ancestors = createAncestorTrackers(beforeTokens, afterTokens);
+        return operations.reduce(function(rendering, op, index){
+            var currentIndex = opIndex === undefined ?
+                    getRenderIndex(operations, index, beforeTokens, afterTokens, options) : opIndex;
+            var indexAttr = ' data-' + dataPrefix + 'operation-index="' + currentIndex + '"';
+            var before = joinTokens(beforeTokens, op.startInBefore, op.endInBefore);
+            var after = joinTokens(afterTokens, op.startInAfter, op.endInAfter);
+            // Unlike in the combined rendering, all deleted tokens are part of the before
+            // document.
+            var deleted = op.endInBefore === null ? [] :
+                    beforeTokens.slice(op.startInBefore, op.endInBefore + 1).map(function(token){
+                        return token.string;
+                    });
+            switch (op.action){
+                case 'equal':
+                    // The equal hook renders the content of both documents.
+                    before = renderEqual(before, op, beforeTokens, afterTokens, currentIndex,
+                            options);
+                    after = renderEqual(after, op, beforeTokens, afterTokens, currentIndex,
+                            options);
+                    break;
+                case 'insert':
+                    after = OPS.insert(op, beforeTokens, afterTokens, currentIndex, options,
+                            ancestors);
+                    before = renderPlaceholder('ins', ancestors.before, op.startInBefore, indexAttr,
+                            after);
+                    break;
+                case 'delete':
+                    before = wrapOperation('del', deleted, op, beforeTokens, afterTokens,
+                            currentIndex, options, ancestors.before.get(op.startInBefore));
+                    after = renderPlaceholder('del', ancestors.after, op.startInAfter, indexAttr,
+                            before);
+                    break;
+                case 'replace':
+                    var chars = options.granularity === 'char' ? renderSplitCharacterDiff(op,
+                            beforeTokens, afterTokens, currentIndex, options) : null;
+                    if (chars){
+                        before = chars.before;
+                        after = chars.after;
+                        break;
+                    }
+                    before = wrapOperation('del', deleted, op, beforeTokens, afterTokens,
+                            currentIndex, options, ancestors.before.get(op.startInBefore));
+                    after = OPS.insert(op, beforeTokens, afterTokens, currentIndex, options,
+                            ancestors);
+                    break;
+                case 'attributes':
+                    before = addAttributes(before, ' data-diff-attrs-changed="' +
+                            op.changedAttributes.join(' ') + '"' + indexAttr);
+                    after = OPS.attributes(op, beforeTokens, afterTokens, currentIndex, options);
+                    break;
+                case 'retag':
+                    if (getTagName(before).charAt(0) !== '/'){
+                        before = addAttributes(before, indexAttr);
+                    }
+                    after = OPS.retag(op, beforeTokens, afterTokens, currentIndex, options);
+                    break;
+                case 'format':
+                    // The before side is marked like the after side, with the same formats.
+                    before = OPS.format({
+                        action: op.action,
+                        startInBefore: op.startInAfter,
+                        endInBefore: op.endInAfter,
+                        startInAfter: op.startInBefore,
+                        endInAfter: op.endInBefore,
+                        addedFormats: op.addedFormats,
+                        removedFormats: op.removedFormats
+                    }, afterTokens, beforeTokens, currentIndex, options, {
+                        before: ancestors.after,
+                        after: ancestors.before
+                    });
+                    after = OPS.format(op, beforeTokens, afterTokens, currentIndex, options,
+                            ancestors);
+                    break;
+                case 'move':
+                    var moveAttrs = ' data-diff-move-id="' + op.moveId + '"' + indexAttr;
+                    if (op.moved === 'from'){
+                        before = OPS.move(op, beforeTokens, afterTokens, currentIndex, options,
+                                ancestors);
+                        after = renderPlaceholder('del', ancestors.after, op.startInAfter,
+                                moveAttrs, before);
+                        break;
+                    }
+                    var source = beforeTokens.slice(op.sourceStartInBefore + 1,
+                            op.sourceEndInBefore);
+                    var target = afterTokens.slice(op.startInAfter + 1, op.endInAfter);
+                    after = addAttributes(afterTokens[op.startInAfter].string,
+                            ' data-diff-moved="to"' + moveAttrs) +
+                            renderSplitOperations(source, target,
+                                    calculateOperations(source, target, options), options,
+                                    currentIndex).after +
+                            afterTokens[op.endInAfter].string;
+                    before = renderPlaceholder('ins', ancestors.before, op.startInBefore, moveAttrs,
+                            after);
+                    break;
+            }
+            rendering.before += before;
+            rendering.after += after;
+            return rendering;
+        }, {before: '', after: ''});
+    }
+
+    /**
+     * Renders a list of operations into HTML content. The result is the combined version
+     * of the before and after tokens with the differences wrapped in tags.
+     *
+     * @param {Array.<string>} beforeTokens The before list of tokens.
+     * @param {Array.<string>} afterTokens The after list of tokens.
+     * @param {Array.<Object>} operations The list of operations to transform the before
+     *      list of tokens into the after list of tokens, where each operation has the
+     *      following keys:
+     *      - {string} action One of {'replace', 'insert', 'delete', 'equal'}.
+     *      - {number} startInBefore The beginning of the range in the list of before tokens.
+     *      - {number} endInBefore The end of the range in the list of before tokens.
+     *      - {number} startInAfter The beginning of the range in the list of after tokens.
+     *      - {number} endInAfter The end of the range in the list of after tokens.
+     * @param {Object} options (Optional) The options of the diff, see diff. For backwards
+     *      compatibility the data prefix and the class name may also be given as the fourth
+     *      and fifth argument.
+     *
+     * @return {string|Object} The rendering of the list of operations. If the mode option is
+     *      'split', an object with the renderings of both sides as before and after, see
+     *      renderSplitOperations.
+     */
+    function renderOperations(beforeTokens, afterTokens, operations, options){
+        if (typeof options === 'string' || arguments.length > 4){
+            options = {dataPrefix: arguments[3], className: arguments[4]};
+        }
+        options = normalizeOptions(options);
+        if (options.mode === 'split'){
+            return renderSplitOperations(beforeTokens, afterTokens, operations, options);
+        }
+        var ancestors = createAncestorTrackers(beforeTokens, afterTokens);
+        return operations.reduce(function(rendering, op, index){
+            return rendering + OPS[op.action](op, beforeTokens, afterTokens,
+                    getRenderIndex(operations, index, beforeTokens, afterTokens, options), options,
+                    ancestors);
+        }, '');
+    }
+
+    /**
+     * Converts a piece of HTML content into plain text. Tags, comments and the content of script
+     * and style elements are removed, the most common character references are decoded.
+     *
+     * @param {string} html The HTML content to convert.
+     *
+     * @return {string} The plain text.
+     */
+    function htmlToText(html){
+        var entityRegExp = /&(#x[0-9a-f]+|#[0-9]+|nbsp|amp|lt|gt|quot|apos);/gi;
+        var namedEntities = {nbsp: '\u00a0', amp: '&', lt: '<', gt: '>', quot: '"', apos: '\''};
+        return html
+                .replace(/<(script|style)[\s>][\s\S]*?<\/\1\s*>/gi, '')
+                .replace(/<!--[\s\S]*?-->/g, '')
+                .replace(/<[^>]*>/g, '')
+                .replace(entityRegExp, function(entity, name){
+                    name = name.toLowerCase();
+                    if (name[0] === '#'){
+                        var code = name[1] === 'x' ?
+                                parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                        if (code > 0xffff){
+                            code -= 0x10000;
+                            return String.fromCharCode(0xd800 + (code >> 10),
+                                    0xdc00 + (code & 0x3ff));
+                        }
+                        return String.fromCharCode(code);
+                    }
+                    return namedEntities[name];
+                });
+    }
+
+    /**
+     * Concatenates the strings of a range of tokens.
+     *
+     * @param {Array.<Token>} tokens The list of tokens.
+     * @param {number|null} start The index of the first token in the range.
+     * @param {number|null} end The index of the last token in the range, null for an empty range.
+     *
+     * @return {string} The concatenated strings of the tokens.
+     */
+    function joinTokens(tokens, start, end){
+        if (end === null){
+            return '';
+        }
+        return tokens.slice(start, end + 1).map(function(token){
+            return token.string;
+        }).join('');
+    }
+
+    /**
+     * Compares two pieces of HTML content and returns the list of changes between them. Other
+     * than the operations of calculateOperations, the changes don't refer to the token lists
+     * and can be serialized to JSON.
+     *
+     * @param {string} before The HTML content before the changes.
+     * @param {string} after The HTML content after the changes.
+     * @param {Object} options (Optional) The options of the diff, see diff.
+     *
+     * @return {Array.<Object>} The list of changes, where each change has the following keys:
+     *      - {string} kind One of {'replace', 'insert', 'delete', 'attributes', 'format',
+     *        'retag', 'move'}. The closing tags of retagged elements aren't listed separately.
+     *      - {number} operationIndex The index of the operation in the list of operations. This
+     *        is the same index as in the operation index data attribute of the rendered diff.
+     *      - {string} beforeHtml The HTML content of the change in the before document.
+     *      - {string} beforeText The plain text of the change in the before document.
+     *      - {string} afterHtml The HTML content of the change in the after document.
+     *      - {string} afterText The plain text of the change in the after document.
+     *      - {Array.<string>} changedAttributes (Only for 'attributes') The names of the
+     *        attributes that were added, removed or changed.
+     *      - {Array.<string>} addedFormats (Only for 'format') The names of the formatting
+     *        elements the text is contained in only after the changes.
+     *      - {Array.<string>} removedFormats (Only for 'format') The names of the formatting
+     *        elements the text was contained in only before the changes.
+     *      - {string} oldTagName (Only for 'retag') The name of the element before the changes.
+     *      - {string} moved (Only for 'move') Either 'from' or 'to'.
+     *      - {number} moveId (Only for 'move') The id shared by both changes of a move.
+     */
+    function changes(before, after, options){
+        options = normalizeOptions(options);
+        if (before === after) return [];
+
+        var beforeTokens = htmlToTokens(before, options);
+        var afterTokens = htmlToTokens(after, options);
+        var ops = calculateOperations(beforeTokens, afterTokens, options);
+        return ops.reduce(function(result, op, index){
+            if (op.action === 'equal' || (op.action === 'retag' &&
+                    getTagName(afterTokens[op.startInAfter].string).charAt(0) === '/')){
+                return result;
+            }
+            var beforeHtml = joinTokens(beforeTokens, op.startInBefore, op.endInBefore);
+            var afterHtml = joinTokens(afterTokens, op.startInAfter, op.endInAfter);
+            var change = {
+                kind: op.action,
+                operationIndex: index,
+                beforeHtml: beforeHtml,
+                beforeText: htmlToText(beforeHtml),
+                afterHtml: afterHtml,
+                afterText: htmlToText(afterHtml)
+            };
+            if (op.changedAttributes){
+                change.changedAttributes = op.changedAttributes.slice();
+            }
+            if (op.action === 'format'){
+                change.addedFormats = op.addedFormats.slice();
+                change.removedFormats = op.removedFormats.slice();
+            }
+            if (op.action === 'retag'){
+                change.oldTagName = op.oldTagName;
+            }
+            if (op.action === 'move'){
+                change.moved = op.moved;
+                change.moveId = op.moveId;
+            }
+            result.push(change);
+            return result;
+        }, []);
+    }
+
+    /**
+     * Gets the changes of a list of operations as ranges of the before tokens and the after
+     * tokens replacing them, see merge. Insertions and deletions whose tags aren't balanced
+     * (e.g. 'x</p><p>' instead of '<p>x</p>') are moved backwards over equal tokens until they
+     * are, so that the same changes of both sides are aligned.
+     *
+     * @param {Array.<Object>} operations The list of operations, see calculateOperations.
+     * @param {Array.<Token>} beforeTokens The before list of tokens.
+     * @param {Array.<Token>} afterTokens The after list of tokens.
+     * @param {string} side The name of the side the after tokens belong to.
+     *
+     * @return {Object} An object with the keys:
+     *      - {Array.<Object>} changes The list of changes with the keys start and end (the
+     *        range of the before tokens, end excluded), tokens (the replacing after tokens) and
+     *        side.
+     *      - {Array.<Token>} equalTokens The after token of each equal before token.
+     */
+    function getMergeChanges(operations, beforeTokens, afterTokens, side){
+        var result = {changes: [], equalTokens: []};
+        var equalTokens = result.equalTokens;
+
+        function isBalanced(tokens){
+            var strings = tokens.map(function(token){
+                return token.string;
+            });
+            return removeUnbalancedTags(strings).length === strings.length;
+        }
+
+        function align(change){
+            var tokens = change.tokens;
+            var start = change.start;
+            var end = change.end;
+            var moved = [];
+            while (start > 0 && equalTokens[start - 1] && !isBalanced(tokens.length ? tokens :
+                    beforeTokens.slice(start, end))){
+                if (tokens.length && equalTokens[start - 1].key === tokens[tokens.length - 1].key){
+                    moved.push([start - 1, tokens[tokens.length - 1]]);
+                    tokens = [equalTokens[start - 1]].concat(tokens.slice(0, -1));
+                } else if (!tokens.length && end > start &&
+                        beforeTokens[start - 1].key === beforeTokens[end - 1].key){
+                    moved.push([end - 1, equalTokens[start - 1]]);
+                } else {
+                    return;
+                }
+                start--;
+                end--;
+            }
+            if (!isBalanced(tokens.length ? tokens : beforeTokens.slice(start, end))){
+                return;
+            }
+            if (!tokens.length){
+                for (var i = start; i < end; i++){
+                    equalTokens[i] = undefined;
+                }
+            }
+            moved.forEach(function(pair){
+                equalTokens[pair[0]] = pair[1];
+            });
+            change.tokens = tokens;
+            change.start = start;
+            change.end = end;
+        }
+
+        operations.forEach(function(op){
+            // Formatting changes are contained in the changes of the formatting tags.
+            if (op.action === 'equal' || op.action === 'format'){
+                for (var i = op.startInBefore; i <= op.endInBefore; i++){
+                    result.equalTokens[i] = afterTokens[i - op.startInBefore + op.startInAfter];
+                }
+                return;
+            }
+            result.changes.push({
+                start: op.startInBefore,
+                end: op.endInBefore === null ? op.startInBefore : op.endInBefore + 1,
+                tokens: op.endInAfter === null ? [] :
+                        afterTokens.slice(op.startInAfter, op.endInAfter + 1),
+                side: side
+            });
+        });
+        result.changes.forEach(function(change){
+            if (change.start === change.end || !change.tokens.length){
+                align(change);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Removes the tags which aren't closed within a list of tokens and the closing tags which
+     * aren't opened within it.
+     *
+     * @param {Array.<string>} tokens The list of tokens.
+     *
+     * @return {Array.<string>} The list of tokens with balanced tags only.
+     */
+    function removeUnbalancedTags(tokens){
+        var balanced = [];
+        var stack = [];
+        tokens.forEach(function(token, index){
+            var tagName = !isVoidTag(token) && getTagName(token);
+            if (!tagName){
+                balanced[index] = true;
+            } else if (tagName.charAt(0) !== '/'){
+                stack.push({tagName: tagName, index: index});
+            } else if (stack.length && '/' + stack[stack.length - 1].tagName === tagName){
+                balanced[stack.pop().index] = true;
+                balanced[index] = true;
+            }
+        });
+        return tokens.filter(function(token, index){
+            return balanced[index];
+        });
+    }
+
+    /**
+     * Checks if the tags of a list of tokens are balanced, see removeUnbalancedTags.
+     *
+     * @param {Array.<string>} tokens The list of tokens.
+     *
+     * @return {Object} An object with the keys unclosed (whether an element isn't closed within
+     *      the tokens) and unopened (whether a closing tag isn't opened within them).
+     */
+    function getUnbalancedTags(tokens){
+        var depth = 0;
+        var unopened = false;
+        tokens.forEach(function(token){
+            var tagName = !isVoidTag(token) && getTagName(token);
+            if (!tagName){
+                return;
+            }
+            if (tagName.charAt(0) !== '/'){
+                depth++;
+            } else if (depth){
+                depth--;
+            } else {
+                unopened = true;
+            }
+        });
+        return {unclosed: depth > 0, unopened: unopened};
+    }
+
+    /**
+     * Renders one side of a conflict. The text is wrapped in tags with the data attributes of
+     * the conflict, the tags of complete elements are marked with them as well. Content of the
+     * base and their side which can't be marked where it is (e.g. text directly inside a list)
+     * is dropped, so it isn't rendered like merged content.
+     *
+     * @param {string} tag The tag name of the wrapper tags.
+     * @param {Array.<string>} tokens The tokens of the side.
+     * @param {string} side The name of the side, one of {'base', 'ours', 'theirs'}.
+     * @param {number} id The id of the conflict.
+     * @param {Options} options The options of the merge.
+     * @param {Array.<string>} ancestors The names of the elements the conflict is contained in,
+     *      see AncestorTracker.
+     *
+     * @return {string} The rendering of the side.
+     */
+    function renderConflictSide(tag, tokens, side, id, options, ancestors){
+        var attrs = ' data-diff-conflict="' + id + '" data-diff-conflict-side="' + side + '"';
+        if (!tokens.length){
+            return '';
+        }
+        var wrapper = new TokenWrapper(tokens, options, ancestors);
+        if (side !== 'ours'){
+            wrapper.tokens = wrapper.tokens.filter(function(token, index){
+                return !wrapper.notes[index].isStranded;
+            });
+            wrapper.notes = wrapper.notes.filter(function(note){
+                return !note.isStranded;
+            });
+        }
+        return wrapper.combine(function(segment){
+            var val = segment.tokens.join('');
+            if (segment.isWrappable && val.trim()){
+                return '<' + tag + attrs + (options.className ? ' class="' +
+                        options.className + '"' : '') + '>' + val + '</' + tag + '>';
+            }
+            return val;
+        }, function(openingTag){
+            return openingTag.replace(/>\s*$/, attrs + '$&');
+        });
+    }
+
+    /**
+     * Merges two independently changed versions of an HTML document (a three-way merge).
+     * Changes of only one version, and the same changes of both versions, are applied. Changes
+     * of both versions which overlap are conflicts: the base content is wrapped in <del> tags,
+     * the content of each version in <ins> tags, all of them with a `data-diff-conflict`
+     * attribute holding the id of the conflict and a `data-diff-conflict-side` attribute
+     * holding the side ('base', 'ours' or 'theirs'). The structure of the merged content follows
+     * our version. Conflicts which split an element are extended to the whole element, tags of
+     * the other sides which still aren't complete within a conflict are left out.
+     *
+     * @param {string} base The HTML content both versions are based on.
+     * @param {string} ours The HTML content of our version.
+     * @param {string} theirs The HTML content of their version.
+     * @param {Object} options (Optional) The options of the diff, see diff.
+     *
+     * @return {Object} The result of the merge with the following keys:
+     *      - {string} html The merged HTML content.
+     *      - {Array.<Object>} conflicts The list of conflicts in the order of the content, each
+     *        with the following keys:
+     *        - {number} id The id of the conflict, as in the data attributes of the content.
+     *        - {string} baseHtml The HTML content of the conflict in the base version.
+     *        - {string} baseText The plain text of the conflict in the base version.
+     *        - {string} oursHtml The HTML content of the conflict in our version.
+     *        - {string} oursText The plain text of the conflict in our version.
+     *        - {string} theirsHtml The HTML content of the conflict in their version.
+     *        - {string} theirsText The plain text of the conflict in their version.
+     */
+    function merge(base, ours, theirs, options){
+        options = normalizeOptions(options);
+        var baseTokens = htmlToTokens(base, options);
+        var sides = {
+            ours: htmlToTokens(ours, options),
+            theirs: htmlToTokens(theirs, options)
+        };
+        Object.keys(sides).forEach(function(side){
+            var tokens = sides[side];
+            sides[side] = getMergeChanges(calculateOperations(baseTokens, tokens, options),
+                    baseTokens, tokens, side);
+        });
+
+        // Changes of both sides overlap if their ranges intersect or if they start at the same
+        // token, e.g. two insertions at the same position.
+        var clusters = [];
+        sides.ours.changes.concat(sides.theirs.changes).sort(function(a, b){
+            return a.start - b.start || a.end - b.end;
+        }).forEach(function(change){
+            var last = clusters[clusters.length - 1];
+            if (last && (change.start < last.end || change.start === last.start)){
+                last.end = Math.max(last.end, change.end);
+                last.changes.push(change);
+            } else {
+                clusters.push({start: change.start, end: change.end, changes: [change]});
+            }
+        });
+
+        // The tokens of the base which are equal in both versions are taken from the version
+        // which changed their string, e.g. their attributes.
+        function getEqualToken(index, side){
+            var tokens = side ? [sides[side].equalTokens[index]] :
+                    [sides.ours.equalTokens[index], sides.theirs.equalTokens[index]];
+            for (var i = 0; i < tokens.length; i++){
+                if (tokens[i] && tokens[i].string !== baseTokens[index].string){
+                    return tokens[i];
+                }
+            }
+            return baseTokens[index];
+        }
+
+        function getSideTokens(cluster, side){
+            var tokens = [];
+            var index = cluster.start;
+            cluster.changes.forEach(function(change){
+                if (change.side !== side){
+                    return;
+                }
+                for (; index < change.start; index++){
+                    tokens.push(getEqualToken(index, side));
+                }
+                tokens = tokens.concat(change.tokens);
+                index = change.end;
+            });
+            for (; index < cluster.end; index++){
+                tokens.push(getEqualToken(index, side));
+            }
+            return tokens;
+        }
+
+        function getStrings(tokens){
+            return tokens.map(function(token){
+                return token.string;
+            });
+        }
+
+        function getKeys(tokens){
+            return tokens.map(function(token){
+                return token.key;
+            }).join('');
+        }
+
+        function isConflict(cluster){
+            var changedSides = cluster.changes.map(function(change){
+                return change.side;
+            });
+            return changedSides.indexOf('ours') !== -1 && changedSides.indexOf('theirs') !== -1 &&
+                    getKeys(getSideTokens(cluster, 'ours')) !==
+                    getKeys(getSideTokens(cluster, 'theirs'));
+        }
+
+        // A conflict which splits an element (e.g. our side adds only the opening tag of a
+        // <b> element) is extended over the equal tokens around it until all of its sides are
+        // balanced. Clusters which are reached on the way become part of the conflict.
+        clusters.forEach(function(cluster, index){
+            var start = index ? clusters[index - 1].end : 0;
+            while (isConflict(cluster)){
+                var unbalanced = [
+                    getStrings(baseTokens.slice(cluster.start, cluster.end)),
+                    getStrings(getSideTokens(cluster, 'ours')),
+                    getStrings(getSideTokens(cluster, 'theirs'))
+                ].map(getUnbalancedTags);
+                var next = clusters[index + 1];
+                if (cluster.start > start && unbalanced.some(function(tags){
+                    return tags.unopened;
+                })){
+                    cluster.start--;
+                } else if (!unbalanced.some(function(tags){
+                    return tags.unclosed;
+                })){
+                    break;
+                } else if (next && next.start === cluster.end){
+                    cluster.end = next.end;
+                    cluster.changes = cluster.changes.concat(clusters.splice(index + 1, 1)[0]
+                            .changes);
+                } else if (cluster.end < baseTokens.length){
+                    cluster.end++;
+                } else {
+                    break;
+                }
+                while (clusters[index + 1] && clusters[index + 1].start < cluster.end){
+                    next = clusters.splice(index + 1, 1)[0];
+                    cluster.end = Math.max(cluster.end, next.end);
+                    cluster.changes = cluster.changes.concat(next.changes);
+                }
+            }
+        });
+
+        // The merged tokens are kept to know the elements each conflict is contained in.
+        var mergedTokens = [];
+        var tracker = new AncestorTracker(mergedTokens);
+        var html = '';
+        var conflicts = [];
+        var position = 0;
+
+        function append(tokens){
+            tokens.forEach(function(token){
+                mergedTokens.push(token);
+                html += token.string;
+            });
+        }
+
+        clusters.concat({start: baseTokens.length, end: baseTokens.length, changes: []})
+                .forEach(function(cluster){
+            for (; position < cluster.start; position++){
+                append([getEqualToken(position)]);
+            }
+            position = cluster.end;
+            if (!cluster.changes.length){
+                return;
+            }
+            var oursTokens = getSideTokens(cluster, 'ours');
+            var theirsTokens = getSideTokens(cluster, 'theirs');
+            if (!isConflict(cluster)){
+                var changedSides = cluster.changes.map(function(change){
+                    return change.side;
+                });
+                append(changedSides.indexOf('ours') === -1 ? theirsTokens : oursTokens);
+                return;
+            }
+
+            var id = conflicts.length + 1;
+            var baseStrings = getStrings(baseTokens.slice(cluster.start, cluster.end));
+            var oursStrings = getStrings(oursTokens);
+            var theirsStrings = getStrings(theirsTokens);
+            var ancestors = tracker.get(mergedTokens.length);
+            html += renderConflictSide('del', removeUnbalancedTags(baseStrings), 'base', id,
+                    options, ancestors) +
+                    renderConflictSide('ins', oursStrings, 'ours', id, options, ancestors) +
+                    renderConflictSide('ins', removeUnbalancedTags(theirsStrings), 'theirs', id,
+                            options, ancestors);
+            // Only our side is part of the structure of the merged content.
+            oursTokens.forEach(function(token){
+                mergedTokens.push(token);
+            });
+            conflicts.push({
+                id: id,
+                baseHtml: baseStrings.join(''),
+                baseText: htmlToText(baseStrings.join('')),
+                oursHtml: oursStrings.join(''),
+                oursText: htmlToText(oursStrings.join('')),
+                theirsHtml: theirsStrings.join(''),
+                theirsText: htmlToText(theirsStrings.join(''))
+            });
+        });
+        return {html: html, conflicts: conflicts};
+    }
+
+    /**
+     * Gets the data attributes marking content of a revision, see history. Besides the index
+     * of the revision, every metadata property of the revision (e.g. author) becomes a data
+     * attribute, camel case names are converted to dashes.
+     *
+     * @param {Object} revision The revision with its HTML content and metadata.
+     * @param {number} index The index of the revision.
+     *
+     * @return {string} The data attributes, including a leading space.
+     */
+    function getRevisionAttributes(revision, index){
+        var attrs = ' data-diff-revision="' + index + '"';
+        Object.keys(revision).forEach(function(key){
+            var value = revision[key];
+            var name = key.replace(/[A-Z]/g, function(char){
+                return '-' + char.toLowerCase();
+            }).replace(/[^a-z0-9_.\-]/g, '-');
+            if (key === 'html' || name === 'revision' || name === 'node' || value === null ||
+                    value === undefined){
+                return;
+            }
+            value = value instanceof Date ? value.toISOString() : value;
+            attrs += ' data-diff-' + name + '="' + escapeAttribute(value) + '"';
+        });
+        return attrs;
+    }
+
+    /**
+     * Applies the tokens of the next revision to the entries of a history. The entries which
+     * are still part of the document are diffed against the tokens: equal entries keep their
+     * revision, deleted entries are marked with the revision deleting them and inserted tokens
+     * become new entries of the revision.
+     *
+     * @param {Array.<Object>} entries The entries of the history, each with the keys token,
+     *      revision (the index of the revision which inserted the token) and deletedIn (the
+     *      index of the revision which deleted the token, or null).
+     * @param {Array.<Token>} tokens The tokens of the next revision.
+     * @param {number} revision The index of the next revision.
+     * @param {Options} options The options of the diff.
+     *
+     * @return {Array.<Object>} The new list of entries.
+     */
+    function applyRevision(entries, tokens, revision, options){
+        var positions = [];
+        entries.forEach(function(entry, index){
+            if (entry.deletedIn === null){
+                positions.push(index);
+            }
+        });
+        var liveTokens = positions.map(function(index){
+            return entries[index].token;
+        });
+        positions.push(entries.length);
+
+        var result = [];
+        var position = 0;
+
+        // Copies the entries deleted by earlier revisions up to the given live entry.
+        function copyUpTo(liveIndex){
+            for (; position < positions[liveIndex]; position++){
+                result.push(entries[position]);
+            }
+        }
+
+        calculateOperations(liveTokens, tokens, options).forEach(function(op){
+            var isEqual = op.action === 'equal' || op.action === 'format';
+            var endInBefore = op.endInBefore === null ? op.startInBefore - 1 : op.endInBefore;
+            for (var i = op.startInBefore; i <= endInBefore; i++){
+                copyUpTo(i);
+                var entry = entries[position++];
+                result.push({
+                    token: isEqual ? tokens[i - op.startInBefore + op.startInAfter] : entry.token,
+                    revision: entry.revision,
+                    deletedIn: isEqual ? null : revision
+                });
+            }
+            if (!isEqual && op.endInAfter !== null){
+                copyUpTo(endInBefore + 1);
+                for (var j = op.startInAfter; j <= op.endInAfter; j++){
+                    result.push({token: tokens[j], revision: revision, deletedIn: null});
+                }
+            }
+        });
+        copyUpTo(positions.length - 1);
+        return result;
+    }
+
+    /**
+     * Compares a list of revisions of an HTML document and returns the last revision with the
+     * content of every revision marked (a "blame" view). Consecutive revisions are diffed with
+     * each other. Content inserted by a revision after the first one is wrapped in <ins> tags
+     * with a `data-diff-revision` attribute holding the index of the revision and a data
+     * attribute for each metadata property of the revision, e.g. `data-diff-author`. If the
+     * option showDeletions is set, content deleted by a later revision is kept in <del> tags
+     * with the attributes of the revision which deleted it.
+     *
+     * @param {Array.<string|Object>} revisions The list of revisions from the oldest to the
+     *      newest. Each revision is either its HTML content or an object with the HTML content
+     *      as `html` and any metadata properties, e.g. `{html: '...', author: 'Ann'}`.
+     * @param {Object} options (Optional) The options of the diff, see diff, with the
+     *      additional key:
+     *      - {boolean} showDeletions If true, deleted content is shown as well.
+     *
+     * @return {string} The last revision with the content of each revision marked.
+     */
+    function history(revisions, options){
+        if (!revisions || !revisions.length) throw new Error('Missing revisions');
+        options = normalizeOptions(options);
+        revisions = revisions.map(function(revision){
+            return typeof revision === 'string' ? {html: revision} : revision;
+        });
+
+        var entries = htmlToTokens(revisions[0].html, options).map(function(token){
+            return {token: token, revision: 0, deletedIn: null};
+        });
+        for (var index = 1; index < revisions.length; index++){
+            entries = applyRevision(entries, htmlToTokens(revisions[index].html, options), index,
+                    options);
+        }
+
+        // Consecutive entries of the same revision are rendered together.
+        var runs = entries.reduce(function(result, entry){
+            var last = result[result.length - 1];
+            if (last && last.revision === entry.revision && last.deletedIn === entry.deletedIn){
+                last.tokens.push(entry.token);
+            } else {
+                result.push({
+                    revision: entry.revision,
+                    deletedIn: entry.deletedIn,
+                    tokens: [entry.token]
+                });
+            }
+            return result;
+        }, []);
+
+        // The open elements are tracked on the tokens rendered so far, which only grow.
+        var liveTokens = [];
+        var tracker = new AncestorTracker(liveTokens);
+        return runs.map(function(run){
+            var strings = run.tokens.map(function(token){
                 return token.string;
             });
-            return wrap('del', val, opIndex, dataPrefix, className);
-        },
-        'replace': function(){
-            return OPS['delete'].apply(null, arguments) + OPS['insert'].apply(null, arguments);
+            var ancestors = tracker.get(liveTokens.length);
+            if (run.deletedIn !== null){
+                if (!options.showDeletions){
+                    return '';
+                }
+                // The structure of the document follows the last revision, so deleted tags
+                // are only kept with their complete elements.
+                strings = removeUnbalancedTags(strings.filter(function(string){
+                    return !isPassThroughToken(string);
+                }));
+                return wrapWithAttributes('del', strings,
+                        getRevisionAttributes(revisions[run.deletedIn], run.deletedIn), options,
+                        ancestors);
+            }
+            run.tokens.forEach(function(token){
+                liveTokens.push(token);
+            });
+            if (run.revision === 0 || !strings.join('').trim()){
+                return strings.join('');
+            }
+            return wrapWithAttributes('ins', strings,
+                    getRevisionAttributes(revisions[run.revision], run.revision), options,
+                    ancestors);
+        }).join('');
+    }
+
+    /**
+     * The version of the patch format, see createPatch.
+     */
+    var patchVersion = 1;
+
+    /**
+     * The number of tokens of context kept before and after each hunk of a patch.
+     */
+    var patchContextLength = 3;
+
+    /**
+     * Compares two pieces of HTML content and returns a patch which transforms the before
+     * content into the after content. Other than the operations of calculateOperations, the
+     * patch carries the content of the changed tokens and can be serialized to JSON, so the
+     * after content can be rebuilt from the before content with applyPatch and vice versa with
+     * reversePatch. Tokens which match but differ in their content (e.g. because of the ignore
+     * options or changed attributes) are part of the patch as well.
+     *
+     * @param {string} before The HTML content before the changes.
+     * @param {string} after The HTML content after the changes.
+     * @param {Object} options (Optional) The options of the diff, see diff.
+     *
+     * @return {Object} The patch with the following keys:
+     *      - {number} version The version of the patch format.
+     *      - {number} beforeLength The length of the before content.
+     *      - {number} afterLength The length of the after content.
+     *      - {Array.<Object>} hunks The list of changed ranges with the keys beforeOffset and
+     *        afterOffset (the position of the range in the before and the after content),
+     *        deleted and inserted (the strings of the tokens of the range in the before and the
+     *        after content) and contextBefore and contextAfter (the strings of up to three
+     *        unchanged tokens around the range).
+     */
+    function createPatch(before, after, options){
+        options = normalizeOptions(options);
+        var beforeTokens = htmlToTokens(before, options);
+        var afterTokens = htmlToTokens(after, options);
+        var ranges = [];
+
+        function addRange(startInBefore, endInBefore, startInAfter, endInAfter){
+            var last = ranges[ranges.length - 1];
+            if (last && last.endInBefore === startInBefore && last.endInAfter === startInAfter){
+                last.endInBefore = endInBefore;
+                last.endInAfter = endInAfter;
+            } else {
+                ranges.push({
+                    startInBefore: startInBefore,
+                    endInBefore: endInBefore,
+                    startInAfter: startInAfter,
+                    endInAfter: endInAfter
+                });
+            }
         }
-    };
+
+        // The ranges are collected with their ends excluded.
+        calculateOperations(beforeTokens, afterTokens, options).forEach(function(op){
+            if (op.action !== 'equal'){
+                addRange(op.startInBefore,
+                        op.endInBefore === null ? op.startInBefore : op.endInBefore + 1,
+                        op.startInAfter,
+                        op.endInAfter === null ? op.startInAfter : op.endInAfter + 1);
+                return;
+            }
+            for (var i = 0; i <= op.endInBefore - op.startInBefore; i++){
+                if (beforeTokens[op.startInBefore + i].string !==
+                        afterTokens[op.startInAfter + i].string){
+                    addRange(op.startInBefore + i, op.startInBefore + i + 1,
+                            op.startInAfter + i, op.startInAfter + i + 1);
+                }
+            }
+        });
+
+        function strings(tokens, start, end){
+            return tokens.slice(start, end).map(function(token){
+                return token.string;
+            });
+        }
+
+        var beforeOffset = 0;
+        var afterOffset = 0;
+        var beforeIndex = 0;
+        var afterIndex = 0;
+        var hunks = ranges.map(function(range, index){
+            beforeOffset += joinTokens(beforeTokens, beforeIndex, range.startInBefore - 1).length;
+            afterOffset += joinTokens(afterTokens, afterIndex, range.startInAfter - 1).length;
+            var next = ranges[index + 1];
+            var contextEnd = Math.min(range.endInBefore + patchContextLength,
+                    next ? next.startInBefore : beforeTokens.length);
+            var hunk = {
+                beforeOffset: beforeOffset,
+                afterOffset: afterOffset,
+                contextBefore: strings(beforeTokens,
+                        Math.max(beforeIndex, range.startInBefore - patchContextLength),
+                        range.startInBefore),
+                deleted: strings(beforeTokens, range.startInBefore, range.endInBefore),
+                inserted: strings(afterTokens, range.startInAfter, range.endInAfter),
+                contextAfter: strings(beforeTokens, range.endInBefore, contextEnd)
+            };
+            beforeOffset += hunk.deleted.join('').length;
+            afterOffset += hunk.inserted.join('').length;
+            beforeIndex = range.endInBefore;
+            afterIndex = range.endInAfter;
+            return hunk;
+        });
+
+        return {
+            version: patchVersion,
+            beforeLength: before.length,
+            afterLength: after.length,
+            hunks: hunks
+        };
+    }
 
     /**
-     * Renders a list of operations into HTML content. The result is the combined version
-     * of the before and after tokens with the differences wrapped in tags.
+     * Applies a patch to HTML content in either direction, see applyPatch and reversePatch.
      *
-     * @param {Array.<string>} beforeTokens The before list of tokens.
-     * @param {Array.<string>} afterTokens The after list of tokens.
-     * @param {Array.<Object>} operations The list of operations to transform the before
-     *      list of tokens into the after list of tokens, where each operation has the
-     *      following keys:
-     *      - {string} action One of {'replace', 'insert', 'delete', 'equal'}.
-     *      - {number} startInBefore The beginning of the range in the list of before tokens.
-     *      - {number} endInBefore The end of the range in the list of before tokens.
-     *      - {number} startInAfter The beginning of the range in the list of after tokens.
-     *      - {number} endInAfter The end of the range in the list of after tokens.
-     * @param {string} dataPrefix (Optional) The prefix to use in data attributes.
-     * @param {string} className (Optional) The class name to include in the wrapper tag.
+     * @param {string} content The HTML content to apply the patch to.
+     * @param {Object} patch The patch, see createPatch.
+     * @param {boolean} reverse If true, the patch is applied from the after content to the
+     *      before content.
      *
-     * @return {string} The rendering of the list of operations.
+     * @return {string} The patched HTML content.
      */
-    function renderOperations(beforeTokens, afterTokens, operations, dataPrefix, className){
-        return operations.reduce(function(rendering, op, index){
-            return rendering + OPS[op.action](
-                    op, beforeTokens, afterTokens, index, dataPrefix, className);
-        }, '');
+    function patchContent(content, patch, reverse){
+        if (!patch || !Array.isArray(patch.hunks)) throw new Error('Missing patch');
+        if (patch.version !== patchVersion){
+            throw new Error('Unknown patch version ' + patch.version);
+        }
+        var length = reverse ? patch.afterLength : patch.beforeLength;
+        if (content.length !== length){
+            throw new Error('Patch does not match the content: expected a length of ' + length +
+                    ' but got ' + content.length);
+        }
+
+        var result = '';
+        var position = 0;
+        patch.hunks.forEach(function(hunk){
+            var offset = reverse ? hunk.afterOffset : hunk.beforeOffset;
+            var removed = (reverse ? hunk.inserted : hunk.deleted).join('');
+            var contextBefore = hunk.contextBefore.join('');
+            var contextAfter = hunk.contextAfter.join('');
+            var start = offset - contextBefore.length;
+            if (start < position ||
+                    content.slice(start, offset) !== contextBefore ||
+                    content.substr(offset, removed.length) !== removed ||
+                    content.substr(offset + removed.length, contextAfter.length) !== contextAfter){
+                throw new Error('Patch does not match the content at offset ' + offset);
+            }
+            result += content.slice(position, offset) +
+                    (reverse ? hunk.deleted : hunk.inserted).join('');
+            position = offset + removed.length;
+        });
+        return result + content.slice(position);
+    }
+
+    /**
+     * Applies a patch to the HTML content it was created from.
+     *
+     * @param {string} before The HTML content before the changes.
+     * @param {Object} patch The patch, see createPatch.
+     *
+     * @return {string} The HTML content after the changes.
+     *
+     * @throws {Error} If the patch doesn't match the content.
+     */
+    function applyPatch(before, patch){
+        return patchContent(before, patch, false);
+    }
+
+    /**
+     * Reverts a patch from the HTML content it was created for.
+     *
+     * @param {string} after The HTML content after the changes.
+     * @param {Object} patch The patch, see createPatch.
+     *
+     * @return {string} The HTML content before the changes.
+     *
+     * @throws {Error} If the patch doesn't match the content.
+     */
+    function reversePatch(after, patch){
+        return patchContent(after, patch, true);
+    }
+
+    /**
+     * Removes attributes from the opening tag at the start of a token.
+     *
+     * @param {string} token The token to remove the attributes from.
+     * @param {function(string): boolean} isRemoved Called with the lowercased name of each
+     *      attribute, returns true if the attribute should be removed.
+     *
+     * @return {string} The token without the removed attributes.
+     */
+    function removeAttributes(token, isRemoved){
+        return token.replace(openingTagRegExp, function(tag, name, rest, slash){
+            var attributeRegExp = /\s*([^\s"'>\/=]+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/g;
+            return tag.slice(0, tag.indexOf(name) + name.length) +
+                    rest.replace(attributeRegExp, function(attribute, attributeName){
+                        return isRemoved(attributeName.toLowerCase()) ? '' : attribute;
+                    }) + slash + '>';
+        });
+    }
+
+    /**
+     * Accepts or rejects the changes of a rendered diff and returns the resulting HTML content
+     * without the markup of the resolved changes. Changes are identified by their operation
+     * index, all markup of an operation is resolved together:
+     *      - <ins> and <del> tags are unwrapped or removed with their content.
+     *      - Elements marked with a `data-diff-node` or `data-diff-moved` attribute are kept or
+     *        removed with their content.
+     *      - Rejected elements with a `data-diff-retagged-from` attribute get their old tag name
+     *        back, rejected attribute changes are restored from the `data-diff-old-*`
+     *        attributes.
+     *      - The <span> tags of formatting changes are unwrapped. The formatting elements
+     *        marked with a `data-diff-format-tag` attribute are kept if they were added and the
+     *        change is accepted or they were removed and the change is rejected, otherwise they
+     *        are unwrapped.
+     *      - The texts and cues of the accessibility option are removed.
+     * <ins> and <del> tags without an operation index (e.g. written by hand or by another tool)
+     * are resolved with the default decision. Changes without a decision keep their markup.
+     *
+     * @param {string} diffHtml The HTML content of the rendered diff.
+     * @param {Object} decisions A mapping from operation index to either 'accept' or 'reject'.
+     * @param {Object} options (Optional) The options the diff was rendered with, see diff, with
+     *      the additional key:
+     *      - {string} defaultDecision Either 'accept' or 'reject', the decision for changes
+     *        which aren't listed in the decisions.
+     *
+     * @return {string} The HTML content with the changes resolved.
+     */
+    function resolve(diffHtml, decisions, options){
+        options = normalizeOptions(options);
+        decisions = decisions || {};
+        var dataPrefix = options.dataPrefix ? options.dataPrefix + '-' : '';
+        var indexAttribute = 'data-' + dataPrefix + 'operation-index';
+        var markerAttributes = [indexAttribute, 'data-diff-node', 'data-diff-moved',
+            'data-diff-move-id', 'data-diff-retagged-from', 'data-diff-attrs-changed',
+            'data-diff-format', 'data-diff-format-tag'];
+
+        function getDecision(index){
+            var decision = index !== undefined && decisions[index] !== undefined ?
+                    decisions[index] : options.defaultDecision;
+            if (decision && decision !== 'accept' && decision !== 'reject'){
+                throw new Error('Unknown decision ' + decision);
+            }
+            return decision || null;
+        }
+
+        function isMarker(name){
+            return markerAttributes.indexOf(name) !== -1 || name.indexOf('data-diff-old-') === 0;
+        }
+
+        // Each open element is kept on the stack with the string its closing tag is replaced
+        // with, or null if it is kept.
+        var stack = [];
+        var dropped = 0;
+        var tokens = htmlToTokens(diffHtml, {atomicTags: options.atomicTags});
+        return tokens.map(function(token){
+            var string = token.string;
+            var tagName = getTagName(string);
+            if (!tagName){
+                return dropped ? '' : string;
+            }
+            if (tagName.charAt(0) === '/'){
+                for (var i = stack.length - 1; i >= 0; i--){
+                    if (stack[i].tagName === tagName.slice(1)){
+                        var closed = stack.splice(i, 1)[0];
+                        if (closed.isDropped){
+                            dropped--;
+                            return '';
+                        }
+                        return dropped ? '' : closed.closingTag === null ? string :
+                                closed.closingTag;
+                    }
+                }
+                return dropped ? '' : string;
+            }
+
+            var attributes = getAttributes(string);
+            if (!attributes){
+                return dropped ? '' : string;
+            }
+            // Void tags and atomic tags are complete elements.
+            var isElement = !isVoidTag(string) && openingTagRegExp.exec(string)[0].length ===
+                    string.replace(/\s+$/, '').length;
+            var entry = {tagName: tagName, closingTag: null, isDropped: false};
+            if (isElement){
+                stack.push(entry);
+            }
+            if (dropped){
+                entry.isDropped = isElement;
+                dropped += isElement ? 1 : 0;
+                return '';
+            }
+
+            var isConflict = 'data-diff-conflict' in attributes;
+            var index = attributes[indexAttribute];
+            if (isConflict || (index === undefined && tagName !== 'ins' && tagName !== 'del')){
+                return string;
+            }
+            var decision = getDecision(index);
+            if (!decision){
+                return string;
+            }
+            // The texts and cues of the accessibility option are removed with their change.
+            if ('data-diff-hidden' in attributes || 'data-diff-cue' in attributes){
+                entry.isDropped = isElement;
+                dropped += isElement ? 1 : 0;
+                return '';
+            }
+
+            var isInserted = tagName === 'ins' || attributes['data-diff-node'] === 'ins' ||
+                    attributes['data-diff-moved'] === 'to';
+            var isDeleted = tagName === 'del' || attributes['data-diff-node'] === 'del' ||
+                    attributes['data-diff-moved'] === 'from';
+            if (isInserted || isDeleted){
+                var isKept = isInserted === (decision === 'accept');
+                if (!isKept){
+                    entry.isDropped = isElement;
+                    dropped += isElement ? 1 : 0;
+                    return '';
+                }
+                if (tagName === 'ins' || tagName === 'del' || 'data-diff-format' in attributes){
+                    entry.closingTag = '';
+                    return '';
+                }
+            } else if ('data-diff-format-tag' in attributes){
+                // Added formatting elements are kept if they are accepted, removed ones if
+                // they are rejected.
+                if ((attributes['data-diff-format-tag'] === 'added') !== (decision === 'accept')){
+                    entry.closingTag = '';
+                    return '';
+                }
+            } else if ('data-diff-format' in attributes){
+                entry.closingTag = '';
+                return '';
+            }
+
+            var resolved = removeAttributes(string, isMarker);
+            if (decision === 'reject' && attributes['data-diff-retagged-from']){
+                var oldTagName = attributes['data-diff-retagged-from'];
+                resolved = resolved.replace(/^(\s*<)[^\s>\/]+/, '$1' + oldTagName);
+                entry.closingTag = '</' + oldTagName + '>';
+            }
+            if (decision === 'reject' && attributes['data-diff-attrs-changed']){
+                var changedAttributes = attributes['data-diff-attrs-changed'].split(' ');
+                resolved = addAttributes(removeAttributes(resolved, function(name){
+                    return changedAttributes.indexOf(name) !== -1;
+                }), changedAttributes.reduce(function(restored, name){
+                    var oldValue = attributes['data-diff-old-' +
+                            name.replace(/[^a-z0-9_.\-]/g, '-')];
+                    return oldValue === undefined ? restored :
+                            restored + ' ' + name + '="' + oldValue + '"';
+                }, ''));
+            }
+            return resolved;
+        }).join('');
     }
 
     /**
@@ -940,27 +4569,85 @@
      *
      * @param {string} before The HTML content before the changes.
      * @param {string} after The HTML content after the changes.
-     * @param {string} className (Optional) The class attribute to include in <ins> and <del> tags.
-     * @param {string} dataPrefix (Optional) The data prefix to use for data attributes. The
-     *      operation index data attribute will be named `data-${dataPrefix-}operation-index`.
-     * @param {string} atomicTags (Optional) Comma separated list of atomic tag names. The 
-     *     list has to be in the form `tag1,tag2,...` e. g. `head,script,style`. If not used, 
-     *     the default list `iframe,object,math,svg,script,video,head,style` will be used.
+     * @param {Object} options (Optional) The options of the diff with the following optional
+     *      keys:
+     *      - {string} className The class attribute to include in <ins> and <del> tags.
+     *      - {string} dataPrefix The data prefix to use for data attributes. The operation
+     *        index data attribute will be named `data-${dataPrefix-}operation-index`.
+     *      - {string|Array.<string>} atomicTags Comma separated list or array of atomic tag
+     *        names, e. g. `head,script,style`. If not used, the default list
+     *        `iframe,object,math,svg,script,video,head,style` will be used.
+     *      - {boolean} compareAttributes If true, elements whose attributes changed are marked
+     *        with a `data-diff-attrs-changed` attribute listing the changed attribute names and
+     *        a `data-diff-old-${name}` attribute holding the old value of each of them.
+     *      - {boolean} compareComments HTML comments are always kept in the output but never
+     *        wrapped. If true, changed comments are reported as operations, otherwise they are
+     *        treated as equal.
+     *      - {boolean} compareFormatting If true, unchanged text whose formatting elements
+     *        (e.g. <strong>, <em> or <a>) changed is wrapped in a <span> with a
+     *        `data-diff-format` attribute like `added:strong removed:em`. The added and removed
+     *        formatting elements are kept and marked with a `data-diff-format-tag` attribute.
+     *      - {boolean} detectMoves If true, blocks which were moved are marked with a
+     *        `data-diff-moved` attribute (`from` or `to`) and a `data-diff-move-id` attribute
+     *        shared by both places, instead of being deleted and inserted.
+     *      - {boolean} detectRetags If true, block elements whose tag changed while their
+     *        content stayed similar are marked with a `data-diff-retagged-from` attribute
+     *        holding the old tag name, instead of being deleted and inserted.
+     *      - {boolean} ignoreCase If true, text is compared case-insensitively.
+     *      - {boolean} ignorePunctuation If true, punctuation is ignored when comparing text.
+     *      - {boolean} ignoreWhitespace If true, whitespace next to block tags (e.g. between
+     *        paragraphs), which isn't rendered, is ignored. Line endings and other differences
+     *        in whitespace within text are always ignored.
+     *      - {boolean} ignoreNumbersFormatting If true, numbers are compared without group
+     *        separators and leading or trailing zeros, e.g. `1,000.50` equals `1000.5`.
+     *      The ignore options only affect which tokens match, the output always shows the text
+     *      of the after document.
+     *      - {string} granularity The unit of the diff. With 'word' (the default) whole words
+     *        are wrapped. With 'char' replacements of up to three words are diffed again and
+     *        only the changed characters are wrapped. With 'sentence' and 'block' whole
+     *        sentences or the whole content of block elements are matched and wrapped.
+     *      - {string} mode With 'unified' (the default) a single combined document is
+     *        returned. With 'split' an object with the before document with the deletions
+     *        marked and the after document with the insertions marked is returned as before
+     *        and after, see renderSplitOperations.
+     *      - {Object|function} renderer Render hooks replacing the <ins> and <del> tags, either
+     *        an object with any of the functions insert, delete, replace and equal, or a single
+     *        function for all of them. Each hook is called with the HTML content of a wrappable
+     *        segment (the whole content for equal) and a context with the keys kind ('insert',
+     *        'delete' or 'equal'), operation, operationIndex, beforeTokens and afterTokens (the
+     *        strings of the tokens of the operation) and options, and returns the rendering.
+     *        Hooks returning null or undefined fall back to the default rendering.
+     *      - {Array.<Object>} keyPlugins Key plugins identifying elements, checked before the
+     *        default plugins for images, iframes, objects, videos, math and svg elements. Each
+     *        plugin is an object with a key function and optionally a tagName and a test
+     *        function, see getPluginKey.
+     *      - {boolean|Object} accessibility If set, the content of <ins> and <del> tags starts
+     *        and ends with texts which are only read by screen readers, elements marked with
+     *        `data-diff-node` start with such a text too (unless they can't contain it, e.g.
+     *        table rows and options) and replacements get a visible cue between the deleted
+     *        and the inserted content. Either true or an object with any of
+     *        the texts insertionStart, insertionEnd, deletionStart, deletionEnd, inserted,
+     *        deleted and replacementCue (empty texts are left out) and hiddenClassName, the
+     *        class hiding the texts instead of an inline style.
+     *      For backwards compatibility the options may also be given as positional arguments
+     *      in the order `className, dataPrefix, atomicTags`.
      *
-     * @return {string} The combined HTML content with differences wrapped in <ins> and <del> tags.
+     * @return {string|Object} The combined HTML content with differences wrapped in <ins> and
+     *      <del> tags, or the two documents if the mode is 'split'.
      */
-    function diff(before, after, className, dataPrefix, atomicTags){
-        if (before === after) return before;
-
-        // Enable user provided atomic tag list.
-        atomicTags ? 
-            (atomicTagsRegExp = new RegExp('^<(' + atomicTags.replace(/\s*/g, '').replace(/,/g, '|') + ')'))
-            : (atomicTagsRegExp = defaultAtomicTagsRegExp);
+    function diff(before, after, options){
+        if (typeof options !== 'object' || options === null){
+            options = {className: arguments[2], dataPrefix: arguments[3], atomicTags: arguments[4]};
+        }
+        options = normalizeOptions(options);
+        if (before === after){
+            return options.mode === 'split' ? {before: before, after: after} : before;
+        }
 
-        before = htmlToTokens(before);
-        after = htmlToTokens(after);
-        var ops = calculateOperations(before, after);
-        return renderOperations(before, after, ops, dataPrefix, className);
+        before = htmlToTokens(before, options);
+        after = htmlToTokens(after, options);
+        var ops = calculateOperations(before, after, options);
+        return renderOperations(before, after, ops, options);
     }
 
     diff.htmlToTokens = htmlToTokens;
@@ -972,6 +4659,13 @@
     findMatchingBlocks.getKeyForToken = getKeyForToken;
     diff.calculateOperations = calculateOperations;
     diff.renderOperations = renderOperations;
+    diff.changes = changes;
+    diff.merge = merge;
+    diff.history = history;
+    diff.createPatch = createPatch;
+    diff.applyPatch = applyPatch;
+    diff.reversePatch = reversePatch;
+    diff.resolve = resolve;
 
     if (typeof define === 'function'){
         define([], function(){
@@ -258,6 +258,167 @@ describe('calculateOperations', function(){
         });
     });
 
+    describe('Attribute changes', function(){
+        var before, after;
+
+        beforeEach(function(){
+            before = tokenize('<p>a <a href="a.html">link</a></p>');
+            after = tokenize('<p>a <a href="b.html" title="b">link</a></p>');
+        });
+
+        it('should be ignored by default', function(){
+            res = cut(before, after);
+            expect(res.length).to.equal(1);
+            expect(res[0].action).to.equal('equal');
+        });
+
+        it('should be reported as their own operation if enabled', function(){
+            res = cut(before, after, {compareAttributes: true});
+            expect(res.length).to.equal(3);
+            expect(res[1]).eql({
+                action              : 'attributes',
+                startInBefore       : 3,
+                endInBefore         : 3,
+                startInAfter        : 3,
+                endInAfter          : 3,
+                changedAttributes   : ['href', 'title']
+            });
+            expect(res[2]).eql({
+                action          : 'equal',
+                startInBefore   : 4,
+                endInBefore     : 6,
+                startInAfter    : 4,
+                endInAfter      : 6
+            });
+        });
+    });
+
+    describe('Moves', function(){
+        it('should be reported as a pair of move operations if enabled', function(){
+            var before = tokenize('<p>A b.</p><p>C.</p>');
+            var after = tokenize('<p>C.</p><p>A b.</p>');
+            res = cut(before, after, {detectMoves: true});
+            expect(res).eql([
+                {
+                    action              : 'move',
+                    startInBefore       : 0,
+                    endInBefore         : null,
+                    startInAfter        : 0,
+                    endInAfter          : 2,
+                    moved               : 'to',
+                    moveId              : 1,
+                    sourceStartInBefore : 5,
+                    sourceEndInBefore   : 7
+                },
+                {
+                    action          : 'equal',
+                    startInBefore   : 0,
+                    endInBefore     : 4,
+                    startInAfter    : 3,
+                    endInAfter      : 7
+                },
+                {
+                    action          : 'move',
+                    startInBefore   : 5,
+                    endInBefore     : 7,
+                    startInAfter    : 8,
+                    endInAfter      : null,
+                    moved           : 'from',
+                    moveId          : 1
+                }
+            ]);
+        });
+    });
+
+    describe('Block type changes', function(){
+        it('should be reported for the opening and closing tag', function(){
+            res = cut(tokenize('<p>a b</p>'), tokenize('<h3>a b</h3>'), {detectRetags: true});
+            expect(res).eql([
+                {
+                    action          : 'retag',
+                    startInBefore   : 0,
+                    endInBefore     : 0,
+                    startInAfter    : 0,
+                    endInAfter      : 0,
+                    oldTagName      : 'p'
+                },
+                {
+                    action          : 'equal',
+                    startInBefore   : 1,
+                    endInBefore     : 3,
+                    startInAfter    : 1,
+                    endInAfter      : 3
+                },
+                {
+                    action          : 'retag',
+                    startInBefore   : 4,
+                    endInBefore     : 4,
+                    startInAfter    : 4,
+                    endInAfter      : 4,
+                    oldTagName      : 'p'
+                }
+            ]);
+        });
+    });
+
+    describe('Formatting changes', function(){
+        it('should be reported as their own operation if enabled', function(){
+            var before = tokenize('read the docs');
+            var after = tokenize('read <a href="x">the docs</a>');
+            res = cut(before, after, {compareFormatting: true});
+            expect(res.length).to.equal(4);
+            expect(res[2]).eql({
+                action          : 'format',
+                startInBefore   : 2,
+                endInBefore     : 4,
+                startInAfter    : 3,
+                endInAfter      : 5,
+                addedFormats    : ['a'],
+                removedFormats  : []
+            });
+        });
+    });
+
+    describe('Tables', function(){
+        it('should insert complete rows', function(){
+            var before = tokenize('<table><tr><td>a</td></tr></table>');
+            var after = tokenize('<table><tr><td>b</td></tr><tr><td>a</td></tr></table>');
+            res = cut(before, after);
+            expect(res).eql([
+                {
+                    action          : 'equal',
+                    startInBefore   : 0,
+                    endInBefore     : 0,
+                    startInAfter    : 0,
+                    endInAfter      : 0
+                },
+                {
+                    action          : 'insert',
+                    startInBefore   : 1,
+                    endInBefore     : null,
+                    startInAfter    : 1,
+                    endInAfter      : 5
+                },
+                {
+                    action          : 'equal',
+                    startInBefore   : 1,
+                    endInBefore     : 6,
+                    startInAfter    : 6,
+                    endInAfter      : 11
+                }
+            ]);
+        });
+
+        it('should fall back to the token diff for unclosed tables', function(){
+            var before = tokenize('<table><tr><td>a');
+            var after = tokenize('<table><tr><td>b');
+            res = cut(before, after);
+            expect(res.map(function(op){
+                return op.action;
+            })).eql(['equal', 'replace']);
+        });
+    });
+
     describe('Action Combination', function(){
         describe('dont absorb non-single-whitespace tokens', function(){
             beforeEach(function(){
@@ -0,0 +1,102 @@
+describe('changes', function(){
+    var cut, res;
+
+    beforeEach(function(){
+        cut = require('../js/htmldiff').changes;
+    });
+
+    it('should be a function', function(){
+        expect(cut).is.a('function');
+    });
+
+    it('should return an empty list for equal inputs', function(){
+        expect(cut('<p>a</p>', '<p>a</p>')).eql([]);
+    });
+
+    describe('when text is replaced and a paragraph is deleted', function(){
+        beforeEach(function(){
+            res = cut('<p>a b &amp; c</p><p>old</p>', '<p>a <em>x</em> &amp; c</p>');
+        });
+
+        it('should list the changes with their operation index', function(){
+            expect(res).eql([
+                {
+                    kind: 'replace',
+                    operationIndex: 1,
+                    beforeHtml: 'b',
+                    beforeText: 'b',
+                    afterHtml: '<em>x</em>',
+                    afterText: 'x'
+                },
+                {
+                    kind: 'delete',
+                    operationIndex: 3,
+                    beforeHtml: '<p>old</p>',
+                    beforeText: 'old',
+                    afterHtml: '',
+                    afterText: ''
+                }
+            ]);
+        });
+
+        it('should be serializable to JSON', function(){
+            expect(JSON.parse(JSON.stringify(res))).eql(res);
+        });
+    });
+
+    it('should decode character references in the text', function(){
+        res = cut('a', 'a &lt;b&gt;&nbsp;&#x1F600;');
+        expect(res[0].afterText).to.equal(' <b>\u00a0\ud83d\ude00');
+    });
+
+    it('should pass the options to the diff', function(){
+        res = cut('<a href="a">x</a>', '<a href="b">x</a>', {compareAttributes: true});
+        expect(res).eql([{
+            kind: 'attributes',
+            operationIndex: 0,
+            beforeHtml: '<a href="a">',
+            beforeText: '',
+            afterHtml: '<a href="b">',
+            afterText: '',
+            changedAttributes: ['href']
+        }]);
+    });
+
+    it('should list both places of a move with the move id', function(){
+        res = cut('<p>Moved.</p><p>Kept in place.</p>', '<p>Kept in place.</p><p>Moved.</p>',
+                {detectMoves: true});
+        expect(res.map(function(change){
+            return [change.kind, change.moved, change.moveId, change.beforeText, change.afterText];
+        })).eql([
+            ['move', 'from', 1, 'Moved.', ''],
+            ['move', 'to', 1, '', 'Moved.']
+        ]);
+    });
+
+    it('should list a block type change once with the old tag name', function(){
+        res = cut('<p>Title</p>', '<h1>Title</h1>', {detectRetags: true});
+        expect(res).eql([{
+            kind: 'retag',
+            operationIndex: 0,
+            beforeHtml: '<p>',
+            beforeText: '',
+            afterHtml: '<h1>',
+            afterText: '',
+            oldTagName: 'p'
+        }]);
+    });
+
+    it('should list formatting changes with the changed formatting elements', function(){
+        res = cut('<p>a b</p>', '<p>a <em>b</em></p>', {compareFormatting: true});
+        expect(res[1]).eql({
+            kind: 'format',
+            operationIndex: 2,
+            beforeHtml: 'b',
+            beforeText: 'b',
+            afterHtml: 'b',
+            afterText: 'b',
+            addedFormats: ['em'],
+            removedFormats: []
+        });
+    });
+});
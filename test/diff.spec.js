@@ -47,6 +47,373 @@ describe('Diff', function(){
           'input<ins data-operation-index="1" class="diff-result"> 2</ins>');
       });
     }); // describe('When a class name is specified')
+
+    describe('When an options object is given', function(){
+      it('should include the class and the data prefix in the wrapper tags', function(){
+        expect(cut('input', 'input 2', {className: 'diff-result', dataPrefix: 'x'})).to.equal(
+          'input<ins data-x-operation-index="1" class="diff-result"> 2</ins>');
+      });
+
+      it('should give the same result as the positional arguments', function(){
+        expect(cut('a <b>b</b> c', 'a <b>x</b> c', {className: 'c', dataPrefix: 'p'})).to.equal(
+          cut('a <b>b</b> c', 'a <b>x</b> c', 'c', 'p'));
+      });
+
+      it('should accept the atomic tags as an array', function(){
+        expect(cut('<p>a <b>b</b></p>', '<p>c <b>d</b></p>', {atomicTags: ['b']})).to.equal(
+          '<p><del data-operation-index="1">a</del><ins data-operation-index="1">c</ins> <b>d</b></p>');
+      });
+
+      it('should not leak the atomic tags into later calls', function(){
+        cut('<p>a</p>', '<p>b</p>', {atomicTags: 'p'});
+        expect(cut('<p>a</p>', '<p>b</p>')).to.equal(
+          '<p><del data-operation-index="1">a</del><ins data-operation-index="1">b</ins></p>');
+      });
+    }); // describe('When an options object is given')
+
+    describe('HTML comments', function(){
+      it('should be kept in the output', function(){
+        expect(cut('<!-- wp:paragraph --><p>a</p>', '<!-- wp:paragraph --><p>b</p>')).to.equal(
+          '<!-- wp:paragraph --><p><del data-operation-index="1">a</del>' +
+          '<ins data-operation-index="1">b</ins></p>');
+      });
+
+      it('should pass changed comments of the after document through unchanged', function(){
+        expect(cut('<!-- a --><p>x</p><!-- b -->', '<!-- c --><p>x</p>')).to.equal(
+          '<!-- c --><p>x</p>');
+      });
+
+      it('should report changed comments as operations without wrapping them', function(){
+        var before = html_to_tokens('<!-- a --><p>x</p>', {compareComments: true});
+        var after = html_to_tokens('<!-- c --><p>x</p><!-- d -->', {compareComments: true});
+        var ops = calculate_operations(before, after);
+        expect(ops.map(function(op){
+          return op.action;
+        })).to.eql(['replace', 'equal', 'insert']);
+        expect(cut('<!-- a --><p>x</p>', '<!-- c --><p>x</p><!-- d -->', {compareComments: true}))
+          .to.equal('<!-- c --><p>x</p><!-- d -->');
+      });
+    }); // describe('HTML comments')
+
+    describe('Doctypes, CDATA sections and processing instructions', function(){
+      it('should never be wrapped', function(){
+        expect(cut('<?xml version="1.0"?><!DOCTYPE html PUBLIC "x"><p>a</p>',
+            '<?xml version="1.1"?><!DOCTYPE html><p>a</p>')).to.equal(
+          '<?xml version="1.1"?><!DOCTYPE html><p>a</p>');
+      });
+
+      it('should not wrap inserted CDATA sections', function(){
+        expect(cut('<p>a</p>', '<p>a<![CDATA[x > y]]></p>')).to.equal(
+          '<p>a<![CDATA[x > y]]></p>');
+      });
+
+      it('should treat doctypes differing in case as equal', function(){
+        expect(cut('<!DOCTYPE html><p>a</p>', '<!doctype html><p>b</p>')).to.equal(
+          '<!doctype html><p><del data-operation-index="1">a</del>' +
+          '<ins data-operation-index="1">b</ins></p>');
+      });
+    }); // describe('Doctypes, CDATA sections and processing instructions')
+
+    describe('Tables', function(){
+      var table = function(rows){
+        return '<table>' + rows.map(function(row){
+          return '<tr>' + row.map(function(cell){
+            return '<td>' + cell + '</td>';
+          }).join('') + '</tr>';
+        }).join('') + '</table>';
+      };
+
+      it('should mark an inserted row on the row and its cells', function(){
+        expect(cut(table([['Basic', '10'], ['Pro', '20']]),
+            table([['Basic', '12'], ['Plus', '15'], ['Pro', '20']]))).to.equal(
+          '<table><tr><td>Basic</td><td><del data-operation-index="1">10</del>' +
+          '<ins data-operation-index="1">12</ins></td></tr>' +
+          '<tr data-diff-node="ins" data-operation-index="3">' +
+          '<td data-diff-node="ins" data-operation-index="3"><ins data-operation-index="3">Plus</ins></td>' +
+          '<td data-diff-node="ins" data-operation-index="3"><ins data-operation-index="3">15</ins></td>' +
+          '</tr><tr><td>Pro</td><td>20</td></tr></table>');
+      });
+
+      it('should mark a deleted row on the row and its cells', function(){
+        expect(cut(table([['a'], ['b'], ['c']]), table([['a'], ['c']]))).to.equal(
+          '<table><tr><td>a</td></tr><tr data-diff-node="del" data-operation-index="1">' +
+          '<td data-diff-node="del" data-operation-index="1"><del data-operation-index="1">b</del>' +
+          '</td></tr><tr><td>c</td></tr></table>');
+      });
+
+      it('should mark the cells of an inserted column', function(){
+        expect(cut(table([['a', 'b'], ['c', 'd']]), table([['a', 'x', 'b'], ['c', 'y', 'd']])))
+          .to.equal('<table><tr><td>a</td><td data-diff-node="ins" data-operation-index="1">' +
+            '<ins data-operation-index="1">x</ins></td><td>b</td></tr><tr><td>c</td>' +
+            '<td data-diff-node="ins" data-operation-index="3"><ins data-operation-index="3">y</ins>' +
+            '</td><td>d</td></tr></table>');
+      });
+
+      it('should diff the contents of changed cells inside the cells', function(){
+        expect(cut(table([['one two', 'b']]), table([['one three', 'b']]))).to.equal(
+          '<table><tr><td>one <del data-operation-index="1">two</del>' +
+          '<ins data-operation-index="1">three</ins></td><td>b</td></tr></table>');
+      });
+
+      it('should diff nested tables', function(){
+        expect(cut(table([['x', table([['a'], ['b']])]]), table([['x', table([['a']])]])))
+          .to.equal('<table><tr><td>x</td><td><table><tr><td>a</td></tr>' +
+            '<tr data-diff-node="del" data-operation-index="1"><td data-diff-node="del" ' +
+            'data-operation-index="1"><del data-operation-index="1">b</del></td></tr>' +
+            '</table></td></tr></table>');
+      });
+    }); // describe('Tables')
+
+    describe('Lists and selects', function(){
+      it('should mark an inserted list item on the item', function(){
+        expect(cut('<ul><li>a</li><li>b</li></ul>', '<ul><li>a</li><li>c</li><li>b</li></ul>'))
+          .to.equal('<ul><li>a</li><li data-diff-node="ins" data-operation-index="1">' +
+            '<ins data-operation-index="1">c</ins></li><li>b</li></ul>');
+      });
+
+      it('should mark the items of a definition list', function(){
+        expect(cut('<dl><dt>a</dt><dd>b</dd></dl>', '<dl><dt>c</dt><dd>d</dd><dt>a</dt><dd>b</dd></dl>'))
+          .to.equal('<dl><dt data-diff-node="ins" data-operation-index="1">' +
+            '<ins data-operation-index="1">c</ins></dt>' +
+            '<dd data-diff-node="ins" data-operation-index="1"><ins data-operation-index="1">d</ins>' +
+            '</dd><dt>a</dt><dd>b</dd></dl>');
+      });
+
+      it('should replace changed options as a whole without wrapping their text', function(){
+        expect(cut('<select><option>a</option><option>b</option></select>',
+            '<select><option>a</option><option>c</option></select>')).to.equal(
+          '<select><option>a</option><option data-diff-node="del" data-operation-index="1">b' +
+          '</option><option data-diff-node="ins" data-operation-index="2">c</option></select>');
+      });
+
+      it('should not wrap content directly inside a list', function(){
+        expect(cut('<ul>\n<li>a</li>\n</ul>', '<ul>\n<li>a</li>\n<li>b</li>\n</ul>')).to.equal(
+          '<ul>\n<li>a</li>\n<li data-diff-node="ins" data-operation-index="1">' +
+          '<ins data-operation-index="1">b</ins></li>\n</ul>');
+      });
+
+      it('should drop deleted content which can not be marked where it is', function(){
+        expect(cut('<ol><li>a</li>x</ol>', '<ol><li>a</li></ol>')).to.equal(
+          '<ol><li>a</li></ol>');
+        expect(cut('<title>Old</title>', '<title>New</title>')).to.equal('<title>New</title>');
+      });
+
+      it('should diff the items of nested lists', function(){
+        expect(cut('<ul><li>a<ul><li>x</li></ul></li></ul>',
+            '<ul><li>a<ul><li>x</li><li>y</li></ul></li></ul>')).to.equal(
+          '<ul><li>a<ul><li>x</li><li data-diff-node="ins" data-operation-index="1">' +
+          '<ins data-operation-index="1">y</ins></li></ul></li></ul>');
+      });
+    }); // describe('Lists and selects')
+
+    describe('When differences are ignored', function(){
+      it('should ignore the case of text and render the after text', function(){
+        expect(cut('<p>Hello World</p>', '<p>hello world</p>', {ignoreCase: true})).to.equal(
+          '<p>hello world</p>');
+      });
+
+      it('should ignore punctuation', function(){
+        expect(cut('<p>Hello, world!</p>', '<p>Hello world</p>', {ignorePunctuation: true}))
+          .to.equal('<p>Hello world</p>');
+      });
+
+      it('should ignore whitespace between blocks and line endings', function(){
+        expect(cut('<p>a</p>\r\n<p>b\r\nc</p>', '<p>a</p><p>b\nc</p>\n', {ignoreWhitespace: true}))
+          .to.equal('<p>a</p><p>b\nc</p>\n');
+      });
+
+      it('should ignore the formatting of numbers', function(){
+        expect(cut('<p>Costs 1,000.50 now</p>', '<p>Costs 1000.5 now</p>',
+            {ignoreNumbersFormatting: true})).to.equal('<p>Costs 1000.5 now</p>');
+        expect(cut('<p>Costs 1,000.50 now</p>', '<p>Costs 1000.6 now</p>',
+            {ignoreNumbersFormatting: true})).to.equal('<p>Costs ' +
+          '<del data-operation-index="1">1,000.50</del><ins data-operation-index="1">1000.6</ins>' +
+          ' now</p>');
+      });
+
+      it('should not take decimal commas for group separators', function(){
+        expect(cut('<p>Costs 1,5 now</p>', '<p>Costs 15 now</p>',
+            {ignoreNumbersFormatting: true})).to.equal('<p>Costs ' +
+          '<del data-operation-index="1">1,5</del><ins data-operation-index="1">15</ins> now</p>');
+      });
+
+      it('should keep the decimal separator when punctuation is ignored too', function(){
+        expect(cut('<p>Costs 1,000.50 now</p>', '<p>Costs 100.05 now</p>',
+            {ignoreNumbersFormatting: true, ignorePunctuation: true})).to.equal('<p>Costs ' +
+          '<del data-operation-index="1">1,000.50</del><ins data-operation-index="1">100.05</ins>' +
+          ' now</p>');
+      });
+
+      it('should still report real wording changes', function(){
+        expect(cut('<p>Hello World</p>', '<p>hello there</p>', {ignoreCase: true})).to.equal(
+          '<p>hello <del data-operation-index="1">World</del>' +
+          '<ins data-operation-index="1">there</ins></p>');
+      });
+    }); // describe('When differences are ignored')
+
+    describe('When moves are detected', function(){
+      it('should mark a moved paragraph in both places with the same move id', function(){
+        expect(cut('<p>Moved text.</p><p>Second.</p><p>Third.</p>',
+            '<p>Second.</p><p>Third.</p><p>Moved text.</p>', {detectMoves: true})).to.equal(
+          '<p data-diff-moved="from" data-diff-move-id="1" data-operation-index="0">' +
+          '<del data-operation-index="0">Moved text.</del></p><p>Second.</p><p>Third.</p>' +
+          '<p data-diff-moved="to" data-diff-move-id="1" data-operation-index="2">Moved text.</p>');
+      });
+
+      it('should mark changes inside a nearly identical moved block', function(){
+        expect(cut('<ul><li>one two three four five</li><li>b</li><li>c</li></ul>',
+            '<ul><li>b</li><li>c</li><li>one two three four six</li></ul>',
+            {detectMoves: true})).to.equal(
+          '<ul><li data-diff-moved="from" data-diff-move-id="1" data-operation-index="1">' +
+          '<del data-operation-index="1">one two three four five</del></li><li>b</li><li>c</li>' +
+          '<li data-diff-moved="to" data-diff-move-id="1" data-operation-index="3">' +
+          'one two three four <del data-operation-index="3">five</del>' +
+          '<ins data-operation-index="3">six</ins></li></ul>');
+      });
+
+      it('should not pair different blocks', function(){
+        expect(cut('<p>a b</p><p>x</p>', '<p>x</p><p>c d</p>', {detectMoves: true})).to.equal(
+          '<p data-diff-node="del" data-operation-index="0"><del data-operation-index="0">a b</del>' +
+          '</p><p>x</p><p data-diff-node="ins" data-operation-index="2">' +
+          '<ins data-operation-index="2">c d</ins></p>');
+      });
+    }); // describe('When moves are detected')
+
+    describe('When retags are detected', function(){
+      var options = {detectRetags: true};
+
+      it('should mark the new element with the old tag name', function(){
+        expect(cut('<p>a</p><p>Intro text</p>', '<p>a</p><h2>Intro text</h2>', options)).to.equal(
+          '<p>a</p><h2 data-diff-retagged-from="p" data-operation-index="1">Intro text</h2>');
+      });
+
+      it('should diff the content of the element normally', function(){
+        expect(cut('<li>one two</li>', '<p>one three</p>', options)).to.equal(
+          '<p data-diff-retagged-from="li" data-operation-index="0">one ' +
+          '<del data-operation-index="2">two</del><ins data-operation-index="2">three</ins></p>');
+      });
+
+      it('should not retag inserted blocks', function(){
+        expect(cut('<h2>T</h2>', '<p>x</p><h2>T</h2>', options)).to.equal(
+          '<p data-diff-node="ins" data-operation-index="0"><ins data-operation-index="0">x</ins>' +
+          '</p><h2>T</h2>');
+      });
+
+      it('should not retag blocks whose content was replaced', function(){
+        expect(cut('<p>totally different</p>', '<h2>nothing shared</h2>', options)).to.equal(
+          cut('<p>totally different</p>', '<h2>nothing shared</h2>'));
+      });
+
+      it('should not retag blocks unless enabled', function(){
+        expect(cut('<p>Intro text</p>', '<h2>Intro text</h2>')).to.not.contain(
+          'data-diff-retagged-from');
+      });
+    }); // describe('When retags are detected')
+
+    describe('When attributes are compared', function(){
+      it('should mark changed attributes with their old values', function(){
+        expect(cut('<a href="a.html" class="x">link</a>', '<a href="b.html">link</a>',
+            {compareAttributes: true})).to.equal(
+          '<a href="b.html" data-diff-attrs-changed="class href" data-diff-old-class="x" ' +
+          'data-diff-old-href="a.html" data-operation-index="0">link</a>');
+      });
+
+      it('should mark changed attributes of images with the same source', function(){
+        expect(cut('<img src="a.jpg" alt="a"/>', '<img src="a.jpg" alt="b"/>',
+            {compareAttributes: true, dataPrefix: 'x'})).to.equal(
+          '<img src="a.jpg" alt="b" data-diff-attrs-changed="alt" data-diff-old-alt="a" ' +
+          'data-x-operation-index="0"/>');
+      });
+
+      it('should not mark attributes that were only reordered', function(){
+        expect(cut('<a href="a" id="b">link</a> a', '<a id="b" href="a">link</a> b',
+            {compareAttributes: true})).to.equal('<a id="b" href="a">link</a> ' +
+          '<del data-operation-index="1">a</del><ins data-operation-index="1">b</ins>');
+      });
+    }); // describe('When attributes are compared')
+
+    describe('When formatting is compared', function(){
+      it('should mark text that was made bold', function(){
+        expect(cut('<p>a b c</p>', '<p>a <strong>b</strong> c</p>', {compareFormatting: true}))
+          .to.equal('<p>a <strong data-diff-format-tag="added" data-operation-index="2">' +
+            '<span data-diff-format="added:strong" data-operation-index="2">b</span>' +
+            '</strong> c</p>');
+      });
+
+      it('should mark removed formatting and keep the removed tags', function(){
+        expect(cut('<p>a <em>b c</em> d</p>', '<p>a b c d</p>', {compareFormatting: true}))
+          .to.equal('<p>a <em data-diff-format-tag="removed" data-operation-index="2">' +
+            '<span data-diff-format="removed:em" data-operation-index="2">b c</span></em> d</p>');
+      });
+
+      it('should mark replaced formatting', function(){
+        expect(cut('<p>a <b>b</b></p>', '<p>a <i>b</i></p>', {compareFormatting: true}))
+          .to.equal('<p>a <b data-diff-format-tag="removed" data-operation-index="2">' +
+            '<i data-diff-format-tag="added" data-operation-index="2">' +
+            '<span data-diff-format="added:i removed:b" data-operation-index="2">b</span>' +
+            '</i></b></p>');
+      });
+
+      it('should not mark formatting changes by default', function(){
+        expect(cut('<p>a b c</p>', '<p>a <strong>b</strong> c</p>')).to.equal(
+          '<p>a <strong>b</strong> c</p>');
+      });
+    }); // describe('When formatting is compared')
+
+    describe('When the granularity is char', function(){
+      it('should only wrap the changed characters of a word', function(){
+        expect(cut('I recieve it', 'I receive it', {granularity: 'char'})).to.equal(
+          'I rec<ins data-operation-index="1">e</ins>i<del data-operation-index="1">e</del>ve it');
+      });
+
+      it('should keep character references together', function(){
+        expect(cut('<p>a&amp;b</p>', '<p>a&lt;b</p>', {granularity: 'char'})).to.equal(
+          '<p>a<del data-operation-index="1">&amp;</del><ins data-operation-index="1">&lt;</ins>b</p>');
+      });
+
+      it('should not split surrogate pairs', function(){
+        expect(cut('x \ud83d\ude00', 'x \ud83d\ude01', {granularity: 'char'})).to.equal(
+          'x <del data-operation-index="1">\ud83d\ude00</del><ins data-operation-index="1">\ud83d\ude01</ins>');
+      });
+
+      it('should wrap longer replacements as a whole', function(){
+        expect(cut('one two three four', 'one too three fours', {granularity: 'char'})).to.equal(
+          'one t<del data-operation-index="1">w</del>o<ins data-operation-index="1">o</ins> three ' +
+          'four<ins data-operation-index="3">s</ins>');
+        expect(cut('a b c d', 'e f g h', {granularity: 'char'})).to.equal(
+          '<del data-operation-index="0">a b c d</del><ins data-operation-index="0">e f g h</ins>');
+      });
+    }); // describe('When the granularity is char')
+
+    describe('When the granularity is sentence', function(){
+      it('should wrap the changed sentences as a whole', function(){
+        expect(cut('<p>The cat sat. It was happy. The end.</p>',
+            '<p>The cat sat. It was very happy. The end.</p>', {granularity: 'sentence'})).to.equal(
+          '<p>The cat sat. <del data-operation-index="1">It was happy.</del>' +
+          '<ins data-operation-index="1">It was very happy.</ins> The end.</p>');
+      });
+    }); // describe('When the granularity is sentence')
+
+    describe('When the granularity is block', function(){
+      it('should wrap the changed content of block elements as a whole', function(){
+        expect(cut('<ul><li>One thing</li><li>Two things</li></ul>',
+            '<ul><li>One thing</li><li>Two items</li><li>Three</li></ul>',
+            {granularity: 'block'})).to.equal(
+          '<ul><li>One thing</li><li><del data-operation-index="1">Two things</del>' +
+          '<ins data-operation-index="1">Two items</ins></li>' +
+          // Lists are diffed by their items, so the new item is an insertion of its own.
+          '<li data-diff-node="ins" data-operation-index="3"><ins data-operation-index="3">' +
+          'Three</ins></li></ul>');
+      });
+    }); // describe('When the granularity is block')
+
+    describe('When an unknown granularity is given', function(){
+      it('should throw an error', function(){
+        expect(function(){
+          cut('a', 'b', {granularity: 'syllable'});
+        }).to.throw('Unknown granularity syllable');
+      });
+    }); // describe('When an unknown granularity is given')
   
     describe('Image Differences', function(){
       it('show two images as different if their src attributes are different', function() {
@@ -76,6 +443,14 @@ describe('Diff', function(){
           endInAfter: 0
         });
       });
+
+      it('should match images by their src attribute only', function() {
+        var before = html_to_tokens('<img data-src="a.jpg" src="b.jpg">');
+        var after = html_to_tokens('<img src="b.jpg" data-src="c.jpg">');
+        var ops = calculate_operations(before, after);
+        expect(ops.length).to.equal(1);
+        expect(ops[0].action).to.equal('equal');
+      });
     }); // describe('Image Differences')
     
     describe('Widget Differences', function(){
@@ -206,5 +581,32 @@ describe('Diff', function(){
         });
       });
     }); // describe('iframe Differences')
+
+    describe('Key plugins', function(){
+      var formPlugin = {
+        tagName: 'form',
+        key: function(token, attributes){
+          return '<form ' + attributes['data-form'] + '>';
+        }
+      };
+
+      it('should replace the whole element if the key of a container changes', function() {
+        res = cut('<div><form data-form="a"><p>x</p></form></div>',
+            '<div><form data-form="b"><p>x</p></form></div>', {keyPlugins: [formPlugin]});
+        expect(res).to.equal('<div>' +
+            '<form data-form="a" data-diff-node="del" data-operation-index="1">' +
+            '<p data-diff-node="del" data-operation-index="1">' +
+            '<del data-operation-index="1">x</del></p></form>' +
+            '<form data-form="b" data-diff-node="ins" data-operation-index="1">' +
+            '<p data-diff-node="ins" data-operation-index="1">' +
+            '<ins data-operation-index="1">x</ins></p></form></div>');
+      });
+
+      it('should keep the content after a replaced container', function() {
+        res = cut('<form data-form="a"><p>x</p></form><p>y</p>',
+            '<form data-form="b"><p>x</p></form><p>y</p>', {keyPlugins: [formPlugin]});
+        expect(res).to.match(/<\/form><p>y<\/p>$/);
+      });
+    }); // describe('Key plugins')
     
   }); // describe('Diff')
\ No newline at end of file
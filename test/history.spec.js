@@ -0,0 +1,61 @@
+describe('history', function(){
+    var cut, res;
+
+    beforeEach(function(){
+        cut = require('../js/htmldiff').history;
+    });
+
+    it('should be a function', function(){
+        expect(cut).is.a('function');
+    });
+
+    it('should throw an error without revisions', function(){
+        expect(function(){
+            cut([]);
+        }).to.throw('Missing revisions');
+    });
+
+    it('should return a single revision unchanged', function(){
+        expect(cut(['<p>a b</p>'])).to.equal('<p>a b</p>');
+    });
+
+    it('should mark the content of every revision', function(){
+        res = cut([
+            '<p>The cat sat.</p>',
+            {html: '<p>The black cat sat.</p>', author: 'Ann'},
+            {html: '<p>The black cat sat. It purred.</p>', author: 'Bob'}
+        ]);
+        expect(res).to.equal('<p>The<ins data-diff-revision="1" data-diff-author="Ann"> black' +
+                '</ins> cat sat.<ins data-diff-revision="2" data-diff-author="Bob"> It purred.' +
+                '</ins></p>');
+    });
+
+    it('should attribute changed content to the last revision changing it', function(){
+        res = cut(['<p>a b</p>', '<p>a c b</p>', '<p>a d b</p>']);
+        expect(res).to.equal('<p>a <ins data-diff-revision="2">d</ins> b</p>');
+    });
+
+    it('should convert and escape the metadata', function(){
+        res = cut(['a', {
+            html: 'a b',
+            authorName: 'A "B" & C',
+            timestamp: new Date(Date.UTC(2024, 0, 2))
+        }]);
+        expect(res).to.equal('a<ins data-diff-revision="1" data-diff-author-name=' +
+                '"A &quot;B&quot; &amp; C" data-diff-timestamp="2024-01-02T00:00:00.000Z"> b</ins>');
+    });
+
+    it('should show deleted content if enabled', function(){
+        var revisions = ['<p>a b c</p>', {html: '<p>a c</p>', author: 'Ann'}, '<p>a c d</p>'];
+        expect(cut(revisions)).to.equal('<p>a c<ins data-diff-revision="2"> d</ins></p>');
+        expect(cut(revisions, {showDeletions: true})).to.equal('<p>a <del ' +
+                'data-diff-revision="1" data-diff-author="Ann">b </del>c' +
+                '<ins data-diff-revision="2"> d</ins></p>');
+    });
+
+    it('should mark inserted list items on the element', function(){
+        res = cut(['<ul><li>a</li></ul>', '<ul><li>a</li><li>b</li></ul>']);
+        expect(res).to.equal('<ul><li>a</li><li data-diff-node="ins" data-diff-revision="1">' +
+                '<ins data-diff-revision="1">b</ins></li></ul>');
+    });
+});
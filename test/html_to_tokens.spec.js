@@ -36,9 +36,15 @@ describe('htmlToTokens', function(){
             expect(res.length).to.equal(11);
         });
 
-        it('should remove any html comments', function(){
+        it('should keep html comments as single tokens', function(){
             res = cut('<p> this is <!-- a comment! --> </p>');
-            expect(res.length).to.equal(8);
+            expect(res.length).to.equal(9);
+            expect(res[6]).eql({string: '<!-- a comment! -->', key: '<!---->'});
+        });
+
+        it('should key html comments by their content if comments are compared', function(){
+            res = cut('<!--  wp:paragraph -->', {compareComments: true});
+            expect(res).eql([{string: '<!--  wp:paragraph -->', key: '<!-- wp:paragraph -->'}]);
         });
     });
 
@@ -55,6 +61,257 @@ describe('htmlToTokens', function(){
                 tokenize(['<p>', 'hello', '</br>', 'goodbye', '</p>']));
     });
 
+    it('should not depend on a previous call of diff', function(){
+        delete require.cache[require.resolve('../js/htmldiff')];
+        var fresh = require('../js/htmldiff');
+        expect(fresh.htmlToTokens('<p><script>a</script></p>').length).to.equal(3);
+    });
+
+    it('should use the atomic tags of the given options', function(){
+        expect(cut('<p><b>a</b></p>', {atomicTags: 'b'})).eql(
+                tokenize(['<p>', '<b>a</b>', '</p>']));
+        expect(cut('<p><b>a</b></p>').length).to.equal(5);
+    });
+
+    describe('when tags contain quoted attribute values', function(){
+        it('should not end a tag at a ">" inside double quotes', function(){
+            expect(cut('<a title="a > b">x</a>')).eql(
+                    tokenize(['<a title="a > b">', 'x', '</a>']));
+        });
+
+        it('should not end a tag at a ">" inside single quotes', function(){
+            expect(cut('<div data-json=\'{"x":"<y>"}\'>z</div>')).eql(
+                    tokenize(['<div data-json=\'{"x":"<y>"}\'>', 'z', '</div>']));
+        });
+
+        it('should handle attributes of templating frameworks', function(){
+            expect(cut('<p :class="a > b" @click="n < 2">x</p>')).eql(
+                    tokenize(['<p :class="a > b" @click="n < 2">', 'x', '</p>']));
+        });
+
+        it('should recognise void tags with a ">" in an attribute value', function(){
+            var res = diff('a', 'a <img alt="a > b" src="x.jpg"/>');
+            expect(res).to.equal(
+                    'a<ins data-operation-index="1"> <img alt="a > b" src="x.jpg"/></ins>');
+        });
+    });
+
+    describe('when encountering doctypes, CDATA sections and processing instructions', function(){
+        it('should identify each of them as a single token', function(){
+            expect(cut('<?xml version="1.0"?><!DOCTYPE html><p><![CDATA[ a > b ]]></p>')).eql(
+                    tokenize(['<?xml version="1.0"?>', '<!DOCTYPE html>', '<p>',
+                        '<![CDATA[ a > b ]]>', '</p>']));
+        });
+
+        it('should end processing instructions at "?>"', function(){
+            expect(cut('<?php echo "a>b" ?>x')).eql(tokenize(['<?php echo "a>b" ?>', 'x']));
+        });
+
+        it('should key doctypes case-insensitively', function(){
+            expect(cut('<!DOCTYPE  HTML>')[0].key).to.equal('<!doctype html>');
+        });
+
+        it('should key CDATA sections by their content', function(){
+            expect(cut('<![CDATA[ a ]]>')[0].key).to.equal('<![CDATA[ a ]]>');
+        });
+    });
+
+    describe('when text contains a bare "<"', function(){
+        it('should not start a tag', function(){
+            expect(cut('if a < b')).eql(tokenize(['if', ' ', 'a', ' ', '<', ' ', 'b']));
+        });
+
+        it('should not start a tag at the end of the input', function(){
+            expect(cut('a <')).eql(tokenize(['a', ' ', '<']));
+        });
+    });
+
+    describe('when called with unicode text', function(){
+        var strings = function(html){
+            return cut(html).map(function(token){
+                return token.string;
+            });
+        };
+
+        it('should keep accented letters inside words', function(){
+            expect(strings('café Straße naïve')).eql(['café', ' ', 'Straße', ' ', 'naïve']);
+        });
+
+        it('should keep combining marks with their letter', function(){
+            expect(strings('cafe\u0301 x')).eql(['cafe\u0301', ' ', 'x']);
+        });
+
+        it('should never join markup characters with combining marks', function(){
+            expect(strings('<b>\u0301a</b> <i title="x">\u0301</i>')).eql(
+                    ['<b>', '\u0301a', '</b>', ' ', '<i title="x">', '\u0301', '</i>']);
+        });
+
+        it('should not split emoji', function(){
+            expect(strings('\ud83d\ude00 \ud83d\udc4d\ud83c\udffd')).eql(
+                    ['\ud83d\ude00', ' ', '\ud83d\udc4d\ud83c\udffd']);
+        });
+
+        it('should not split emoji sequences and flags', function(){
+            var family = '\ud83d\udc68\u200d\ud83d\udc69\u200d\ud83d\udc67';
+            var flags = '\ud83c\udde9\ud83c\uddea\ud83c\uddeb\ud83c\uddf7';
+            expect(strings(family + ' a')).eql([family, ' ', 'a']);
+            expect(strings(flags)).eql([flags.slice(0, 4), flags.slice(4)]);
+        });
+
+        it('should split scripts without spaces into words', function(){
+            expect(strings('<p>日本語のテキスト</p>')).eql(
+                    ['<p>', '日本語', 'の', 'テキスト', '</p>']);
+        });
+
+        it('should split scripts without spaces into characters without Intl.Segmenter',
+                function(){
+            // The segmenter is created when the module is loaded, so it is loaded again.
+            var path = require.resolve('../js/htmldiff');
+            var segmenter = Intl.Segmenter;
+            delete Intl.Segmenter;
+            delete require.cache[path];
+            try {
+                expect(require(path).htmlToTokens('東京Tokyo').map(function(token){
+                    return token.string;
+                })).eql(['東', '京', 'Tokyo']);
+            } finally {
+                Intl.Segmenter = segmenter;
+                delete require.cache[path];
+            }
+        });
+    });
+
+    describe('when the granularity is sentence', function(){
+        it('should combine the words of a sentence into a single token', function(){
+            var res = cut('<p>First one. Pi is 3.14 ok! "Quoted." End</p>',
+                    {granularity: 'sentence'});
+            expect(res.map(function(token){
+                return token.string;
+            })).eql(['<p>', 'First one.', ' ', 'Pi is 3.14 ok!', ' ', '"Quoted."', ' ', 'End',
+                '</p>']);
+        });
+
+        it('should not end a sentence inside an inline element', function(){
+            var res = cut('A <b>b. c</b> d. e', {granularity: 'sentence'});
+            expect(res.map(function(token){
+                return token.string;
+            })).eql(['A <b>b. c</b> d.', ' ', 'e']);
+        });
+
+        it('should split an unclosed inline element at the end of its block', function(){
+            var res = cut('<p><b>One. Two</p><p>Three. Four</b> Five. Six</p>',
+                    {granularity: 'sentence'});
+            expect(res.map(function(token){
+                return token.string;
+            })).eql(['<p>', '<b>One. Two', '</p>', '<p>', 'Three. Four</b> Five.', ' ', 'Six',
+                '</p>']);
+        });
+    });
+
+    describe('when the granularity is block', function(){
+        it('should combine the content of block elements into a single token', function(){
+            var res = cut('<ul><li>One <b>two</b>. Three</li></ul>', {granularity: 'block'});
+            expect(res).eql([
+                createToken('<ul>'),
+                createToken('<li>'),
+                {string: 'One <b>two</b>. Three', key: 'One <b>two</b>. Three'},
+                createToken('</li>'),
+                createToken('</ul>')
+            ]);
+        });
+    });
+
+    describe('when differences are ignored', function(){
+        it('should build the keys of text without case, punctuation and number formatting', function(){
+            var res = cut('Hello, 1,000.50', {
+                ignoreCase: true,
+                ignorePunctuation: true,
+                ignoreNumbersFormatting: true
+            });
+            expect(res).eql([
+                {string: 'Hello,', key: 'hello'},
+                {string: ' ', key: ' '},
+                {string: '1,000.50', key: '1000.5'}
+            ]);
+        });
+
+        it('should only remove the separators between groups of three digits', function(){
+            var options = {ignoreNumbersFormatting: true};
+            expect(cut('1,5', options)[0].key).to.equal('1,5');
+            expect(cut('12,34,567', options)[0].key).to.equal('12,34,567');
+            expect(cut("1'000'000 007.0", options).map(function(token){
+                return token.key;
+            })).eql(['1000000', ' ', '7']);
+        });
+
+        it('should give tokens of punctuation only a key that does not match text', function(){
+            var res = cut('a - b', {ignorePunctuation: true});
+            expect(res[2].key).to.equal(cut('\u2014', {ignorePunctuation: true})[0].key);
+            expect(res[2].key).to.not.equal('');
+            expect(res[2].key).to.not.equal(' ');
+        });
+
+        it('should attach whitespace next to block tags to the tags', function(){
+            var res = cut('<p>a</p>\r\n<p> b <b>c</b></p>', {ignoreWhitespace: true});
+            expect(res.map(function(token){
+                return token.string;
+            })).eql(['<p>', 'a', '</p>\r\n', '<p> ', 'b', ' ', '<b>', 'c', '</b>', '</p>']);
+            expect(res[2].key).to.equal('</p>');
+            expect(res[3].key).to.equal('<p>');
+        });
+
+        it('should keep the whitespace of pre elements', function(){
+            expect(cut('<pre>a\n</pre>', {ignoreWhitespace: true}).length).to.equal(4);
+        });
+    });
+
+    describe('when key plugins are given', function(){
+        var chartPlugin = {
+            tagName: 'x-chart',
+            key: function(token, attributes){
+                return '<x-chart id="' + attributes['data-id'] + '">';
+            }
+        };
+
+        it('should key elements by the matching plugin', function(){
+            var res = cut('<x-chart data-id="1" style="a"></x-chart>', {keyPlugins: [chartPlugin]});
+            expect(res[0].key).to.equal('<x-chart id="1">');
+            expect(res[1].key).to.equal('</x-chart>');
+        });
+
+        it('should key elements by a plugin with a predicate', function(){
+            var res = cut('<form data-form="contact" class="x"><p>a</p></form>', {keyPlugins: [{
+                test: function(token, tagName){
+                    return tagName === 'form' && /data-form=/.test(token);
+                },
+                key: function(token, attributes){
+                    return '<form ' + attributes['data-form'] + '>';
+                }
+            }]});
+            expect(res[0].key).to.equal('<form contact>');
+            expect(res[1].key).to.equal('<p>');
+        });
+
+        it('should check the plugins before the default plugins', function(){
+            var keyPlugins = [{
+                tagName: 'IMG',
+                key: function(token, attributes){
+                    return attributes.alt ? '<img alt="' + attributes.alt + '">' : null;
+                }
+            }];
+            expect(cut('<img src="a.jpg" alt="A">', {keyPlugins: keyPlugins})[0].key).to.equal(
+                    '<img alt="A">');
+            expect(cut('<img src="a.jpg">', {keyPlugins: keyPlugins})[0].key).to.equal(
+                    '<img src="a.jpg">');
+        });
+
+        it('should throw an error for plugins without a key function', function(){
+            expect(function(){
+                cut('a', {keyPlugins: [{tagName: 'a'}]});
+            }).to.throw('Invalid key plugin, a key function is required');
+        });
+    });
+
     describe('when encountering atomic tags', function(){
         it('should identify an image tag as a single token', function(){
             expect(cut('<p><img src="1.jpg"><img src="2.jpg"></p>')).eql(
@@ -107,5 +364,35 @@ describe('htmlToTokens', function(){
             expect(cut('<p><script>console.log("hi");</script></p>')).eql(
                     tokenize(['<p>', '<script>console.log("hi");</script>', '</p>']));
         });
+
+        it('should match the names of atomic tags exactly', function(){
+            expect(cut('<b>a</b><br><blockquote>q</blockquote>', {atomicTags: 'b'})).eql(
+                    tokenize(['<b>a</b>', '<br>', '<blockquote>', 'q', '</blockquote>']));
+        });
+
+        it('should match the names of atomic tags with wildcards', function(){
+            expect(cut('<ds-card a="1"><p>x</p></ds-card><dsx>y</dsx>', {atomicTags: 'ds-*'}))
+                    .eql(tokenize(['<ds-card a="1"><p>x</p></ds-card>', '<dsx>', 'y', '</dsx>']));
+        });
+
+        it('should match the names of atomic tags with regular expressions', function(){
+            expect(cut('<X-Chart><p>x</p></X-Chart>', {atomicTags: [/^x-/]})).eql(
+                    tokenize(['<X-Chart><p>x</p></X-Chart>']));
+        });
+
+        it('should add atomic tags to the default list', function(){
+            expect(cut('<my-el>y</my-el><svg><g/></svg>', {atomicTags: 'default,*-*'})).eql(
+                    tokenize(['<my-el>y</my-el>', '<svg><g/></svg>']));
+        });
+
+        it('should end atomic tags at closing tags of another case or with whitespace', function(){
+            expect(cut('<IFRAME src="a"></Iframe\n><p>b</p>')).eql(
+                    tokenize(['<IFRAME src="a"></Iframe\n>', '<p>', 'b', '</p>']));
+        });
+
+        it('should end self-closing atomic tags', function(){
+            expect(cut('<ds-icon name="a"/><p>b</p>', {atomicTags: 'ds-*'})).eql(
+                    tokenize(['<ds-icon name="a"/>', '<p>', 'b', '</p>']));
+        });
     });
 });
@@ -0,0 +1,102 @@
+describe('merge', function(){
+    var cut, res;
+
+    beforeEach(function(){
+        cut = require('../js/htmldiff').merge;
+    });
+
+    it('should be a function', function(){
+        expect(cut).is.a('function');
+    });
+
+    it('should apply changes which don\'t overlap', function(){
+        res = cut('<p>The cat sat on the mat.</p><p>Second para.</p>',
+                '<p>The dog sat on the mat.</p><p>Second para.</p>',
+                '<p>The cat sat on the mat.</p><p>Second paragraph.</p>');
+        expect(res).eql({
+            html: '<p>The dog sat on the mat.</p><p>Second paragraph.</p>',
+            conflicts: []
+        });
+    });
+
+    it('should apply identical changes once', function(){
+        res = cut('<p>a</p><p>b</p>', '<p>a</p><p>x</p><p>b</p>', '<p>a</p><p>x</p><p>b</p>');
+        expect(res.html).to.equal('<p>a</p><p>x</p><p>b</p>');
+        expect(res.conflicts).eql([]);
+    });
+
+    it('should keep attribute changes of otherwise equal elements', function(){
+        res = cut('<p class="x">a b</p>', '<p>a b</p>', '<p class="x">a c</p>');
+        expect(res.html).to.equal('<p>a c</p>');
+    });
+
+    describe('when changes overlap', function(){
+        beforeEach(function(){
+            res = cut('<p>The cat sat.</p>', '<p>The dog sat.</p>', '<p>The bird sat.</p>',
+                    {className: 'conflict'});
+        });
+
+        it('should mark up the conflict with all sides', function(){
+            expect(res.html).to.equal('<p>The ' +
+                    '<del data-diff-conflict="1" data-diff-conflict-side="base" class="conflict">' +
+                    'cat</del>' +
+                    '<ins data-diff-conflict="1" data-diff-conflict-side="ours" class="conflict">' +
+                    'dog</ins>' +
+                    '<ins data-diff-conflict="1" data-diff-conflict-side="theirs" ' +
+                    'class="conflict">bird</ins> sat.</p>');
+        });
+
+        it('should list the conflict', function(){
+            expect(res.conflicts).eql([{
+                id: 1,
+                baseHtml: 'cat',
+                baseText: 'cat',
+                oursHtml: 'dog',
+                oursText: 'dog',
+                theirsHtml: 'bird',
+                theirsText: 'bird'
+            }]);
+        });
+    });
+
+    it('should mark complete elements inserted at the same position', function(){
+        res = cut('<p>a</p><p>b</p>', '<p>a</p><p>x</p><p>b</p>', '<p>a</p><p>y</p><p>b</p>');
+        expect(res.html).to.equal('<p>a</p>' +
+                '<p data-diff-conflict="1" data-diff-conflict-side="ours">' +
+                '<ins data-diff-conflict="1" data-diff-conflict-side="ours">x</ins></p>' +
+                '<p data-diff-conflict="1" data-diff-conflict-side="theirs">' +
+                '<ins data-diff-conflict="1" data-diff-conflict-side="theirs">y</ins></p><p>b</p>');
+        expect(res.conflicts[0].oursHtml).to.equal('<p>x</p>');
+        expect(res.conflicts[0].theirsHtml).to.equal('<p>y</p>');
+    });
+
+    it('should report a deletion of content changed by the other side as a conflict', function(){
+        res = cut('<p>a</p><p>b</p><p>c</p>', '<p>a</p><p>c</p>', '<p>a</p><p>b2</p><p>c</p>');
+        expect(res.conflicts).eql([{
+            id: 1,
+            baseHtml: '<p>b</p>',
+            baseText: 'b',
+            oursHtml: '',
+            oursText: '',
+            theirsHtml: '<p>b2</p>',
+            theirsText: 'b2'
+        }]);
+    });
+
+    it('should extend a conflict which splits an element to the whole element', function(){
+        res = cut('<p>a b c</p>', '<p>a <b>x c</b></p>', '<p>a y c</p>');
+        expect(res.html).to.equal('<p>a ' +
+                '<del data-diff-conflict="1" data-diff-conflict-side="base">b c</del>' +
+                '<b data-diff-conflict="1" data-diff-conflict-side="ours">' +
+                '<ins data-diff-conflict="1" data-diff-conflict-side="ours">x c</ins></b>' +
+                '<ins data-diff-conflict="1" data-diff-conflict-side="theirs">y c</ins></p>');
+        expect(res.conflicts[0].oursHtml).to.equal('<b>x c</b>');
+        expect(res.conflicts[0].theirsHtml).to.equal('y c');
+    });
+
+    it('should not mark up conflicts directly inside of lists', function(){
+        res = cut('<ul><li>a</li></ul>', '<ul><li>a</li>x</ul>', '<ul><li>a</li>y</ul>');
+        expect(res.html).to.equal('<ul><li>a</li>x</ul>');
+        expect(res.conflicts[0].theirsHtml).to.equal('y');
+    });
+});
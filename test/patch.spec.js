@@ -0,0 +1,93 @@
+describe('Patches', function(){
+    var diff, patch;
+
+    beforeEach(function(){
+        diff = require('../js/htmldiff');
+    });
+
+    describe('createPatch', function(){
+        it('should be a function', function(){
+            expect(diff.createPatch).is.a('function');
+        });
+
+        it('should carry the changed tokens with their context', function(){
+            patch = diff.createPatch('<p>The cat sat.</p>', '<p>The dog sat.</p>');
+            expect(patch).eql({
+                version: 1,
+                beforeLength: 19,
+                afterLength: 19,
+                hunks: [{
+                    beforeOffset: 7,
+                    afterOffset: 7,
+                    contextBefore: ['<p>', 'The', ' '],
+                    deleted: ['cat'],
+                    inserted: ['dog'],
+                    contextAfter: [' ', 'sat.', '</p>']
+                }]
+            });
+        });
+
+        it('should not take the context from the changes of another hunk', function(){
+            patch = diff.createPatch('a b c', 'x b y');
+            expect(patch.hunks[0].contextAfter).eql([' ', 'b', ' ']);
+            expect(patch.hunks[1].contextBefore).eql([' ', 'b', ' ']);
+        });
+
+        it('should contain tokens which only match because of the options', function(){
+            patch = diff.createPatch('<p class="a">Hello</p>', '<p class="b">hello</p>',
+                    {ignoreCase: true});
+            expect(patch.hunks.map(function(hunk){
+                return hunk.inserted;
+            })).eql([['<p class="b">', 'hello']]);
+        });
+    });
+
+    describe('applyPatch and reversePatch', function(){
+        var before = '<p>First para.</p><ul><li>a</li><li>b</li></ul><p>Last <b>one</b>.</p>';
+        var after = '<p>First paragraph.</p><ul><li>b</li></ul><p>The <i>last</i> one.</p>';
+
+        beforeEach(function(){
+            patch = JSON.parse(JSON.stringify(diff.createPatch(before, after)));
+        });
+
+        it('should rebuild the after content', function(){
+            expect(diff.applyPatch(before, patch)).to.equal(after);
+        });
+
+        it('should rebuild the before content', function(){
+            expect(diff.reversePatch(after, patch)).to.equal(before);
+        });
+
+        it('should handle empty content', function(){
+            patch = diff.createPatch('', '<p>a</p>');
+            expect(diff.applyPatch('', patch)).to.equal('<p>a</p>');
+            expect(diff.reversePatch('<p>a</p>', patch)).to.equal('');
+        });
+
+        it('should throw an error if the length of the content doesn\'t match', function(){
+            expect(function(){
+                diff.applyPatch(before + ' ', patch);
+            }).to.throw('Patch does not match the content: expected a length of ' +
+                    before.length + ' but got ' + (before.length + 1));
+        });
+
+        it('should throw an error if the content of a hunk doesn\'t match', function(){
+            patch = diff.createPatch('<p>The cat sat.</p>', '<p>The dog sat.</p>');
+            expect(function(){
+                diff.applyPatch('<p>The rat sat.</p>', patch);
+            }).to.throw('Patch does not match the content at offset 7');
+            expect(function(){
+                diff.reversePatch('<p>The cat sat.</p>', patch);
+            }).to.throw('Patch does not match the content at offset 7');
+        });
+
+        it('should throw an error for unknown patches', function(){
+            expect(function(){
+                diff.applyPatch(before, null);
+            }).to.throw('Missing patch');
+            expect(function(){
+                diff.applyPatch(before, {version: 2, hunks: []});
+            }).to.throw('Unknown patch version 2');
+        });
+    });
+});
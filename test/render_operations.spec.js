@@ -163,6 +163,27 @@ describe('renderOperations', function(){
                     '<ins data-operation-index="0">new<br/></ins> text');
         });
 
+        it('should wrap void tags without a self-closing slash', function(){
+            var before = tokenize(['old', ' ', 'text']);
+            var after = tokenize(['new', '<br>', '<img src="a.jpg">', '<HR>', ' ', 'text']);
+
+            res = cut(before, after);
+
+            expect(res).to.equal('<del data-operation-index="0">old</del>' +
+                    '<ins data-operation-index="0">new<br><img src="a.jpg"><HR></ins> text');
+        });
+
+        it('should identify contained inserted tags around void tags', function(){
+            var before = tokenize(['<p>', 'a', '</p>']);
+            var after = tokenize(['<p>', 'a', '</p>', '<p>', 'b', '<input type="text">',
+                    '<source src="a.mp4">', '</p>']);
+
+            res = cut(before, after);
+
+            expect(res).to.equal('<p>a</p><p data-diff-node="ins" data-operation-index="1">' +
+                    '<ins data-operation-index="1">b<input type="text"><source src="a.mp4"></ins></p>');
+        });
+
         it('should wrap atomic tags', function(){
             var before = tokenize(['old', '<iframe src="source.html"></iframe>', ' ', 'text']);
             var after = tokenize(['new', ' ', 'text']);
@@ -174,4 +195,204 @@ describe('renderOperations', function(){
                     '<ins data-operation-index="0">new</ins> text');
         });
     });
+
+    describe('split mode', function(){
+        var diff;
+
+        beforeEach(function(){
+            diff = require('../js/htmldiff');
+        });
+
+        it('should render the deletions and the insertions into separate documents', function(){
+            res = diff('<p>The cat sat.</p>', '<p>The dog sat on it.</p>', {mode: 'split'});
+            expect(res).eql({
+                before: '<p>The <del data-operation-index="1">cat sat.</del></p>',
+                after: '<p>The <ins data-operation-index="1">dog sat on it.</ins></p>'
+            });
+        });
+
+        it('should render replacements at character level if the granularity is char', function(){
+            res = diff('I recieve it', 'I receive it', {mode: 'split', granularity: 'char'});
+            expect(res).eql({
+                before: 'I reci<del data-operation-index="1">e</del>ve it',
+                after: 'I rec<ins data-operation-index="1">e</ins>ive it'
+            });
+        });
+
+        it('should mark the place of content of the other document', function(){
+            res = diff('a <b>x</b> b', 'a b c', {mode: 'split', dataPrefix: 'v'});
+            expect(res).eql({
+                before: 'a <b data-diff-node="del" data-v-operation-index="1">' +
+                        '<del data-v-operation-index="1">x</del></b> b' +
+                        '<span data-diff-placeholder="ins" data-v-operation-index="3"></span>',
+                after: 'a <span data-diff-placeholder="del" data-v-operation-index="1"></span>b' +
+                        '<ins data-v-operation-index="3"> c</ins>'
+            });
+        });
+
+        it('should not render placeholders where content may not be wrapped', function(){
+            res = diff('<table><tr><td>a</td></tr></table>',
+                    '<table><tr><td>b</td></tr><tr><td>a</td></tr></table>', {mode: 'split'});
+            expect(res.before).to.equal('<table><tr><td>a</td></tr></table>');
+        });
+
+        it('should mark other changes in both documents', function(){
+            res = diff('<p>a b</p>', '<h3>a b</h3>', {mode: 'split', detectRetags: true});
+            expect(res).eql({
+                before: '<p data-operation-index="0">a b</p>',
+                after: '<h3 data-diff-retagged-from="p" data-operation-index="0">a b</h3>'
+            });
+        });
+
+        it('should mark both places of moved blocks', function(){
+            res = diff('<p>A b c.</p><p>C.</p>', '<p>C.</p><p>A b c.</p>',
+                    {mode: 'split', detectMoves: true});
+            expect(res).eql({
+                before: '<span data-diff-placeholder="ins" data-diff-move-id="1" ' +
+                        'data-operation-index="0"></span><p>A b c.</p><p data-diff-moved="from" ' +
+                        'data-diff-move-id="1" data-operation-index="2"><del ' +
+                        'data-operation-index="2">C.</del></p>',
+                after: '<p data-diff-moved="to" data-diff-move-id="1" data-operation-index="0">' +
+                        'C.</p><p>A b c.</p><span data-diff-placeholder="del" data-diff-move-id="1" ' +
+                        'data-operation-index="2"></span>'
+            });
+        });
+
+        it('should return both documents for equal content', function(){
+            expect(diff('a', 'a', {mode: 'split'})).eql({before: 'a', after: 'a'});
+        });
+
+        it('should throw an error for unknown modes', function(){
+            expect(function(){
+                diff('a', 'b', {mode: 'columns'});
+            }).to.throw('Unknown mode columns');
+        });
+    });
+
+    describe('renderer hooks', function(){
+        var diff;
+
+        beforeEach(function(){
+            diff = require('../js/htmldiff');
+        });
+
+        it('should render insertions and deletions with the hooks', function(){
+            res = diff('<p>a b c</p>', '<p>a c d</p>', {renderer: {
+                insert: function(content, context){
+                    return '<mark data-op="' + context.operationIndex + '">' + content + '</mark>';
+                },
+                'delete': function(content, context){
+                    return '<s>' + content + '</s>';
+                }
+            }});
+            expect(res).to.equal('<p>a <s>b </s>c<mark data-op="3"> d</mark></p>');
+        });
+
+        it('should pass the tokens of replacements to the replace hook', function(){
+            res = diff('<p>The cat sat.</p>', '<p>The dog sat.</p>', {renderer: {
+                replace: function(content, context){
+                    if (context.kind === 'delete'){
+                        return '';
+                    }
+                    return '<span class="suggestion" title="' + context.beforeTokens.join('') +
+                            '">' + content + '</span>';
+                }
+            }});
+            expect(res).to.equal('<p>The <span class="suggestion" title="cat">dog</span> sat.</p>');
+        });
+
+        it('should keep splitting the content into wrappable segments', function(){
+            var kinds = [];
+            res = diff('<ul><li>a</li></ul>', '<ul><li>a</li><li>b</li></ul>', {
+                renderer: function(content, context){
+                    kinds.push(context.kind);
+                    return context.kind === 'insert' ? '<u>' + content + '</u>' : undefined;
+                }
+            });
+            expect(res).to.equal('<ul><li>a</li><li data-diff-node="ins" data-operation-index="1">' +
+                    '<u>b</u></li></ul>');
+            expect(kinds).eql(['equal', 'insert', 'equal']);
+        });
+
+        it('should fall back to the default rendering', function(){
+            res = diff('a b', 'a c', {renderer: {
+                equal: function(content){
+                    return content.toUpperCase();
+                },
+                insert: function(){
+                    return null;
+                }
+            }});
+            expect(res).to.equal(
+                    'A <del data-operation-index="1">b</del><ins data-operation-index="1">c</ins>');
+        });
+
+        it('should render the equal content of both documents in split mode', function(){
+            res = diff('a b', 'a c', {mode: 'split', renderer: {
+                equal: function(content){
+                    return content.toUpperCase();
+                }
+            }});
+            expect(res).eql({
+                before: 'A <del data-operation-index="1">b</del>',
+                after: 'A <ins data-operation-index="1">c</ins>'
+            });
+        });
+    });
+
+    describe('accessibility', function(){
+        var diff, hidden;
+
+        beforeEach(function(){
+            diff = require('../js/htmldiff');
+            hidden = function(text, index){
+                return '<span data-diff-hidden data-operation-index="' + index + '" ' +
+                        'class="sr-only"> ' + text + ' </span>';
+            };
+        });
+
+        it('should add hidden texts and a cue for replacements', function(){
+            res = diff('<p>The cat sat.</p>', '<p>The dog sat.</p>',
+                    {accessibility: {hiddenClassName: 'sr-only'}});
+            expect(res).to.equal('<p>The <del data-operation-index="1">' +
+                    hidden('deletion start', 1) + 'cat' + hidden('deletion end', 1) + '</del>' +
+                    '<span data-diff-cue="replace" data-operation-index="1" aria-hidden="true">' +
+                    '\u2192</span><ins data-operation-index="1">' + hidden('insertion start', 1) +
+                    'dog' + hidden('insertion end', 1) + '</ins> sat.</p>');
+        });
+
+        it('should use the given texts and describe inserted elements', function(){
+            res = diff('<ul><li>a</li></ul>', '<ul><li>a</li><li>b</li></ul>', {accessibility: {
+                insertionStart: 'Einfügung <Anfang>',
+                insertionEnd: '',
+                inserted: 'eingefügt',
+                hiddenClassName: 'sr-only'
+            }});
+            expect(res).to.equal('<ul><li>a</li><li data-diff-node="ins" ' +
+                    'data-operation-index="1">' + hidden('eingefügt', 1) + '<ins ' +
+                    'data-operation-index="1">' + hidden('Einfügung &lt;Anfang>', 1) + 'b</ins>' +
+                    '</li></ul>');
+        });
+
+        it('should not describe elements which can not contain the hidden text', function(){
+            res = diff('<select><option>a</option></select>',
+                    '<select><option>a</option><option>b</option></select>',
+                    {accessibility: true});
+            expect(res).to.equal('<select><option>a</option><option data-diff-node="ins" ' +
+                    'data-operation-index="1">b</option></select>');
+        });
+
+        it('should hide the texts with an inline style by default', function(){
+            res = diff('a', 'a b', {accessibility: true});
+            expect(res).to.contain('<span data-diff-hidden data-operation-index="1" ' +
+                    'style="position:absolute;');
+        });
+
+        it('should be removed when the changes are resolved', function(){
+            var options = {accessibility: true};
+            res = diff('<p>The cat sat.</p>', '<p>The dog sat.</p>', options);
+            expect(diff.resolve(res, {1: 'reject'}, options)).to.equal('<p>The cat sat.</p>');
+            expect(diff.resolve(res, {1: 'accept'}, options)).to.equal('<p>The dog sat.</p>');
+        });
+    });
 });
@@ -0,0 +1,107 @@
+describe('resolve', function(){
+    var diff, cut, res;
+
+    beforeEach(function(){
+        diff = require('../js/htmldiff');
+        cut = diff.resolve;
+    });
+
+    it('should be a function', function(){
+        expect(cut).is.a('function');
+    });
+
+    describe('with a rendered diff', function(){
+        var rendered;
+
+        beforeEach(function(){
+            rendered = diff('<p>one two three</p>', '<p>one 2 three 4</p>');
+        });
+
+        it('should accept and reject single changes', function(){
+            expect(cut(rendered, {1: 'accept', 3: 'reject'})).to.equal('<p>one 2 three</p>');
+            expect(cut(rendered, {1: 'reject', 3: 'accept'})).to.equal('<p>one two three 4</p>');
+        });
+
+        it('should keep the markup of changes without a decision', function(){
+            expect(cut(rendered, {1: 'accept'})).to.equal(
+                    '<p>one 2 three<ins data-operation-index="3"> 4</ins></p>');
+        });
+
+        it('should use the default decision for changes without a decision', function(){
+            expect(cut(rendered, {1: 'reject'}, {defaultDecision: 'accept'})).to.equal(
+                    '<p>one two three 4</p>');
+        });
+
+        it('should throw an error for unknown decisions', function(){
+            expect(function(){
+                cut(rendered, {1: 'maybe'});
+            }).to.throw('Unknown decision maybe');
+        });
+    });
+
+    it('should use the data prefix and ignore the class name', function(){
+        var options = {className: 'c', dataPrefix: 'x'};
+        var before = '<table><tr><td>a</td></tr></table>';
+        var after = '<table><tr><td>b</td></tr><tr><td>a</td></tr></table>';
+        var rendered = diff(before, after, options);
+        expect(cut(rendered, {1: 'accept'}, options)).to.equal(after);
+        expect(cut(rendered, {1: 'reject'}, options)).to.equal(before);
+    });
+
+    it('should give rejected retagged elements their old tag name', function(){
+        res = diff('<p>a b</p>', '<h3>a b</h3>', {detectRetags: true});
+        expect(cut(res, {0: 'accept'})).to.equal('<h3>a b</h3>');
+        expect(cut(res, {0: 'reject'})).to.equal('<p>a b</p>');
+    });
+
+    it('should restore the attributes of rejected attribute changes', function(){
+        res = diff('<p><a href="a.html">x</a></p>', '<p><a href="b.html" title="b">x</a></p>',
+                {compareAttributes: true});
+        expect(cut(res, {1: 'accept'})).to.equal('<p><a href="b.html" title="b">x</a></p>');
+        expect(cut(res, {1: 'reject'})).to.equal('<p><a href="a.html">x</a></p>');
+    });
+
+    it('should resolve both places of a move', function(){
+        res = diff('<p>A b c d.</p><p>C.</p>', '<p>C.</p><p>A b c d.</p>', {detectMoves: true});
+        expect(cut(res, {}, {defaultDecision: 'accept'})).to.equal('<p>C.</p><p>A b c d.</p>');
+        expect(cut(res, {}, {defaultDecision: 'reject'})).to.equal('<p>A b c d.</p><p>C.</p>');
+    });
+
+    it('should unwrap formatting changes', function(){
+        res = diff('read the docs', 'read <a href="x">the docs</a>', {compareFormatting: true});
+        expect(cut(res, {}, {defaultDecision: 'accept'})).to.equal(
+                'read <a href="x">the docs</a>');
+    });
+
+    it('should remove added formatting when it is rejected', function(){
+        res = diff('read the docs', 'read <a href="x">the docs</a>', {compareFormatting: true});
+        expect(cut(res, {}, {defaultDecision: 'reject'})).to.equal('read the docs');
+    });
+
+    it('should restore removed formatting when it is rejected', function(){
+        res = diff('<p><em class="x">hello</em> world</p>', '<p>hello world</p>',
+                {compareFormatting: true});
+        expect(cut(res, {2: 'accept'})).to.equal('<p>hello world</p>');
+        expect(cut(res, {2: 'reject'})).to.equal('<p><em class="x">hello</em> world</p>');
+    });
+
+    it('should resolve replaced formatting', function(){
+        res = diff('<p><b>hello</b> world</p>', '<p><i>hello</i> world</p>',
+                {compareFormatting: true});
+        expect(cut(res, {2: 'accept'})).to.equal('<p><i>hello</i> world</p>');
+        expect(cut(res, {2: 'reject'})).to.equal('<p><b>hello</b> world</p>');
+    });
+
+    it('should resolve <ins> and <del> tags without an operation index', function(){
+        res = '<p>a <ins class="x">b</ins><del>c <b>d</b></del></p>';
+        expect(cut(res, {})).to.equal(res);
+        expect(cut(res, {}, {defaultDecision: 'accept'})).to.equal('<p>a b</p>');
+        expect(cut(res, {}, {defaultDecision: 'reject'})).to.equal('<p>a c <b>d</b></p>');
+    });
+
+    it('should keep the markup of merge conflicts', function(){
+        res = diff.merge('<p>The cat sat.</p>', '<p>The dog sat.</p>',
+                '<p>The bird sat.</p>').html;
+        expect(cut(res, {}, {defaultDecision: 'accept'})).to.equal(res);
+    });
+});